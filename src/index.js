@@ -1,195 +1,1557 @@
 require("dotenv").config();
+const crypto = require("crypto");
 const express = require("express");
 const scheduledNotifications = require("./services/scheduledNotifications");
 const exchangeRateService = require("./services/exchangeRateService");
 const deviceManager = require("./services/deviceManager");
 const expoPushNotifications = require("./utils/expoPushNotifications");
 const exchangeRateUpdater = require("./services/exchangeRateUpdater");
-const btcPriceMonitor = require("./services/btcPriceMonitor");
+const marketMonitor = require("./services/marketMonitor");
+const receiptChecker = require("./services/receiptChecker");
+const notificationHistory = require("./services/notificationHistory");
+const alertRules = require("./services/alertRules");
+const rateAlerts = require("./services/rateAlerts");
+const marketHistory = require("./services/marketHistory");
+const quietHours = require("./services/quietHours");
+const notificationQueue = require("./services/notificationQueue");
+const jobRuns = require("./services/jobRuns");
+const timeZone = require("./utils/timeZone");
+const apiKeys = require("./services/apiKeys");
+const { requireScope, requireRegistrationKey } = require("./middleware/auth");
+const { apiLimiter, registrationLimiters } = require("./middleware/rateLimit");
+
+// 恢复快照时允许的最大请求体
+const SNAPSHOT_BODY_LIMIT = "50mb";
 
 const app = express();
+
+// 部署在反向代理之后时设置 TRUST_PROXY（代理层数或地址），按客户端真实 IP 限流
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(trustProxy)
+      ? Number(trustProxy)
+      : trustProxy === "true" || trustProxy
+  );
+}
+
+app.use("/api", apiLimiter);
+
+// 快照可能超过默认的请求体大小限制，先验证管理员密钥再解析
+app.use(
+  "/api/admin/snapshot",
+  requireScope("admin"),
+  express.json({ limit: SNAPSHOT_BODY_LIMIT })
+);
 app.use(express.json());
 
-// 设备注册接口
-app.post("/api/register-push-token", async (req, res) => {
+// 公开行情接口的缓存时间（秒）
+const RATES_MAX_AGE = 300;
+const TICKER_MAX_AGE = 30;
+
+/**
+ * 发送可缓存的 JSON 响应
+ * 根据响应内容生成 ETag，请求头 If-None-Match 匹配时返回 304
+ * 数据已过期时不允许客户端缓存
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @param {Object} body - 响应内容
+ * @param {number} maxAge - 缓存时间（秒）
+ */
+function sendCacheable(req, res, body, maxAge) {
+  const hash = crypto
+    .createHash("sha1")
+    .update(JSON.stringify(body))
+    .digest("base64");
+
+  res.set("ETag", `"${hash}"`);
+  res.set(
+    "Cache-Control",
+    body.stale ? "no-cache" : `public, max-age=${maxAge}`
+  );
+  res.json(body);
+}
+
+/**
+ * 发送定时任务预览（dryRun）
+ * 参数无效或消息渲染失败时返回 400
+ * @param {Object} res - 响应对象
+ * @param {Function} createPreview - 生成预览的异步函数
+ */
+async function sendPreview(res, createPreview) {
   try {
-    const { token, platform } = req.body;
+    res.json(await createPreview());
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+}
+
+/**
+ * 返回创建或修改定时任务的错误
+ * 参数验证失败返回 400，任务注册失败等内部错误返回 500
+ * @param {Object} res - 响应对象
+ * @param {Error} error - 错误
+ */
+function sendScheduleError(res, error) {
+  if (error.code === "SCHEDULE_FAILED") {
+    console.error("Error scheduling notification:", error);
+    return res.status(500).json({ error: "Failed to schedule notification" });
+  }
+  res.status(400).json({ error: error.message });
+}
+
+/**
+ * 按 id 修改或删除预警规则前检查设备是否可以访问该规则
+ * 需要提供创建规则的设备或同一用户设备的推送令牌，
+ * 缺少令牌返回 400，规则不存在返回 404，无权访问返回 403
+ * @param {Object} res - 响应对象
+ * @param {Object|null} rule - 预警规则
+ * @param {string} token - 请求方的推送令牌
+ * @param {string} notFoundError - 规则不存在时的错误信息
+ * @returns {boolean} 是否可以访问，为 false 时已返回错误响应
+ */
+function checkRuleAccess(res, rule, token, notFoundError) {
+  if (!token) {
+    res.status(400).json({ error: "token is required" });
+    return false;
+  }
+
+  if (!rule) {
+    res.status(404).json({ error: notFoundError });
+    return false;
+  }
+
+  if (!deviceManager.canAccess(token, rule)) {
+    res.status(403).json({ error: "Device cannot access this rule" });
+    return false;
+  }
+
+  return true;
+}
+
+// 设备注册接口
+app.post(
+  "/api/register-push-token",
+  registrationLimiters,
+  requireRegistrationKey,
+  async (req, res) => {
+    try {
+      const { token, platform, tags, timezone, userId } = req.body;
+
+      if (!token || !platform) {
+        return res.status(400).json({
+          success: false,
+          error: "Token and platform are required",
+        });
+      }
+
+      // 验证令牌格式
+      if (!expoPushNotifications.isExpoPushToken(token)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid push token format",
+        });
+      }
+
+      if (timezone !== undefined && !timeZone.isValidTimeZone(timezone)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid timezone: ${timezone}`,
+        });
+      }
+
+      if (userId != null && !deviceManager.isValidUserId(userId)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid user ID: ${userId}`,
+        });
+      }
+
+      // 注册设备，提供 userId 时加入该用户，超过每个用户的设备上限时删除最早的设备
+      await deviceManager.registerDevice(token, platform, tags, { userId });
+      if (timezone !== undefined) {
+        await deviceManager.updateDeliverySettings(token, { timezone });
+      }
+
+      // 发送测试通知
+      const message = expoPushNotifications.createMessage(
+        token,
+        "注册成功",
+        "您已成功注册推送服务",
+        { type: "registration" }
+      );
+
+      // 注册确认消息不受免打扰时段限制
+      notificationQueue.enqueue([message], { critical: true });
 
-    if (!token || !platform) {
-      return res.status(400).json({
+      res.json({
+        success: true,
+        message: "Push token registered successfully",
+      });
+    } catch (error) {
+      console.error("Error registering push token:", error);
+      res.status(500).json({
         success: false,
-        error: "Token and platform are required",
+        error: "Internal server error",
       });
     }
+  }
+);
 
-    // 验证令牌格式
-    if (!expoPushNotifications.isExpoPushToken(token)) {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid push token format",
+// 修改汇率更新的定时推送任务
+app.post(
+  "/api/notifications/schedule/exchange-rate",
+  requireScope("schedule"),
+  async (req, res) => {
+    const {
+      name,
+      cronExpression,
+      audience = { type: "topic", topic: "exchange-rate" },
+      pairs,
+      dryRun,
+      invocations,
+    } = req.body;
+
+    if (!name || !cronExpression) {
+      return res.status(400).json({ error: "Missing required parameters" });
+    }
+
+    try {
+      scheduledNotifications.validateCronExpression(cronExpression);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      // 验证汇率服务可用
+      const rateResult = await exchangeRateService.getExchangeRates();
+      if (!rateResult.success) {
+        return res
+          .status(500)
+          .json({ error: "Failed to fetch exchange rates" });
+      }
+
+      // 未指定货币对时，每台设备收到自己选择的货币对
+      if (pairs !== undefined) {
+        try {
+          exchangeRateService.validatePairs(pairs, rateResult.rates);
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+      }
+
+      const body = {
+        template: "exchange-rate",
+        params: pairs ? { pairs: pairs.map((pair) => pair.toUpperCase()) } : {},
+      };
+      const data = { type: "exchange-rate-update" };
+
+      if (dryRun) {
+        return sendPreview(res, () =>
+          scheduledNotifications.previewCustom(
+            name,
+            cronExpression,
+            audience,
+            "汇率更新提醒",
+            body,
+            data,
+            { invocations }
+          )
+        );
+      }
+
+      // 推送受众和内容都在每次触发时解析，新注册的设备也能收到推送
+      const job = scheduledNotifications.scheduleCustom(
+        name,
+        cronExpression,
+        audience,
+        "汇率更新提醒",
+        body,
+        data
+      );
+
+      res.json({
+        message: "Exchange rate notification scheduled successfully",
+        nextInvocation: job.nextInvocation(),
+        audience,
+        pairs: pairs || null,
       });
+    } catch (error) {
+      console.error("Error scheduling exchange rate notification:", error);
+      res.status(500).json({ error: "Failed to schedule notification" });
     }
+  }
+);
 
-    // 注册设备
-    await deviceManager.registerDevice(token, platform);
+// 创建定时推送任务
+app.post(
+  "/api/notifications/schedule/daily",
+  requireScope("schedule"),
+  (req, res) => {
+    const {
+      name,
+      hour,
+      minute,
+      audience,
+      pushTokens,
+      title,
+      body,
+      data,
+      timezone,
+      missedRunPolicy,
+      localTime,
+      critical,
+      dryRun,
+      invocations,
+    } = req.body;
 
-    // 发送测试通知
-    const message = expoPushNotifications.createMessage(
-      token,
-      "注册成功",
-      "您已成功注册推送服务",
-      { type: "registration" }
-    );
+    // 受众可以是受众描述对象，也可以直接提供推送令牌列表
+    const targets = audience || pushTokens;
 
-    await expoPushNotifications.sendNotifications([message]);
+    if (
+      !name ||
+      !targets ||
+      (Array.isArray(targets) && targets.length === 0) ||
+      !title ||
+      !body
+    ) {
+      return res.status(400).json({ error: "Missing required parameters" });
+    }
 
-    // 重启汇率更新服务以包含新设备
-    await exchangeRateUpdater.restart();
+    try {
+      scheduledNotifications.validateTime(hour, minute);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
-    res.json({
-      success: true,
-      message: "Push token registered successfully",
+    if (dryRun) {
+      return sendPreview(res, () =>
+        scheduledNotifications.previewDaily(
+          name,
+          hour,
+          minute,
+          targets,
+          title,
+          body,
+          data,
+          { timezone, missedRunPolicy, localTime, critical, invocations }
+        )
+      );
+    }
+
+    try {
+      // localTime 为 true 时按每个设备自己的时区在 hour:minute 推送
+      const job = scheduledNotifications.scheduleDaily(
+        name,
+        hour,
+        minute,
+        targets,
+        title,
+        body,
+        data,
+        { timezone, missedRunPolicy, localTime, critical }
+      );
+
+      res.json({
+        message: "Daily notification scheduled successfully",
+        nextInvocation: job.nextInvocation(),
+      });
+    } catch (error) {
+      sendScheduleError(res, error);
+    }
+  }
+);
+
+// 创建自定义定时推送任务
+app.post(
+  "/api/notifications/schedule/custom",
+  requireScope("schedule"),
+  (req, res) => {
+    const {
+      name,
+      cronExpression,
+      audience,
+      pushTokens,
+      title,
+      body,
+      data,
+      timezone,
+      missedRunPolicy,
+      dryRun,
+      invocations,
+    } = req.body;
+
+    const targets = audience || pushTokens;
+
+    if (
+      !name ||
+      !cronExpression ||
+      !targets ||
+      (Array.isArray(targets) && targets.length === 0) ||
+      !title ||
+      !body
+    ) {
+      return res.status(400).json({ error: "Missing required parameters" });
+    }
+
+    try {
+      scheduledNotifications.validateCronExpression(cronExpression);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (dryRun) {
+      return sendPreview(res, () =>
+        scheduledNotifications.previewCustom(
+          name,
+          cronExpression,
+          targets,
+          title,
+          body,
+          data,
+          { timezone, missedRunPolicy, invocations }
+        )
+      );
+    }
+
+    try {
+      const job = scheduledNotifications.scheduleCustom(
+        name,
+        cronExpression,
+        targets,
+        title,
+        body,
+        data,
+        { timezone, missedRunPolicy }
+      );
+
+      res.json({
+        message: "Custom notification scheduled successfully",
+        nextInvocation: job.nextInvocation(),
+      });
+    } catch (error) {
+      sendScheduleError(res, error);
+    }
+  }
+);
+
+// 创建一次性定时推送任务，执行后自动删除
+app.post(
+  "/api/notifications/schedule/once",
+  requireScope("schedule"),
+  (req, res) => {
+    const {
+      name,
+      at,
+      audience,
+      pushTokens,
+      title,
+      body,
+      data,
+      timezone,
+      missedRunPolicy,
+      critical,
+      dryRun,
+      invocations,
+    } = req.body;
+
+    const targets = audience || pushTokens;
+
+    if (
+      !name ||
+      !at ||
+      !targets ||
+      (Array.isArray(targets) && targets.length === 0) ||
+      !title ||
+      !body
+    ) {
+      return res.status(400).json({ error: "Missing required parameters" });
+    }
+
+    if (dryRun) {
+      return sendPreview(res, () =>
+        scheduledNotifications.previewOnce(
+          name,
+          at,
+          targets,
+          title,
+          body,
+          data,
+          { timezone, missedRunPolicy, critical, invocations }
+        )
+      );
+    }
+
+    // 时间无效或已过、名称重复等参数错误返回 400
+    try {
+      const job = scheduledNotifications.scheduleOnce(
+        name,
+        at,
+        targets,
+        title,
+        body,
+        data,
+        { timezone, missedRunPolicy, critical }
+      );
+
+      res.json({
+        message: "One-off notification scheduled successfully",
+        nextInvocation: job.nextInvocation(),
+      });
+    } catch (error) {
+      sendScheduleError(res, error);
+    }
+  }
+);
+
+// 取消定时推送任务
+app.delete(
+  "/api/notifications/schedule/:name",
+  requireScope("schedule"),
+  (req, res) => {
+    const { name } = req.params;
+
+    const cancelled = scheduledNotifications.cancelJob(name);
+    if (cancelled) {
+      res.json({
+        message: `Scheduled notification '${name}' cancelled successfully`,
+      });
+    } else {
+      res
+        .status(404)
+        .json({ error: `No scheduled notification found with name '${name}'` });
+    }
+  }
+);
+
+// 获取所有定时任务，包括暂停的任务
+app.get("/api/notifications/schedule", requireScope("read"), (req, res) => {
+  const activeJobs = scheduledNotifications.getActiveJobs();
+  res.json(activeJobs);
+});
+
+// 获取定时任务的完整定义和状态
+app.get(
+  "/api/notifications/schedule/:name",
+  requireScope("read"),
+  (req, res) => {
+    const job = scheduledNotifications.getJob(req.params.name);
+    if (!job) {
+      return res.status(404).json({
+        error: `No scheduled notification found with name '${req.params.name}'`,
+      });
+    }
+    res.json(job);
+  }
+);
+
+// 获取定时任务的执行记录，最新的在前
+app.get(
+  "/api/notifications/schedule/:name/runs",
+  requireScope("read"),
+  (req, res) => {
+    const limit = req.query.limit ? Number(req.query.limit) : undefined;
+    if (limit !== undefined && (!Number.isInteger(limit) || limit <= 0)) {
+      return res
+        .status(400)
+        .json({ error: "limit must be a positive integer" });
+    }
+
+    const runs = scheduledNotifications.getJobRuns(req.params.name, limit);
+    if (!runs) {
+      return res.status(404).json({
+        error: `No scheduled notification found with name '${req.params.name}'`,
+      });
+    }
+    res.json({ runs });
+  }
+);
+
+// 修改定时任务的执行时间、内容和受众，未提供的字段保持不变
+app.patch(
+  "/api/notifications/schedule/:name",
+  requireScope("schedule"),
+  (req, res) => {
+    const { name } = req.params;
+    if (!scheduledNotifications.getJob(name)) {
+      return res
+        .status(404)
+        .json({ error: `No scheduled notification found with name '${name}'` });
+    }
+
+    const {
+      hour,
+      minute,
+      localTime,
+      cronExpression,
+      audience,
+      pushTokens,
+      title,
+      body,
+      data,
+      timezone,
+      missedRunPolicy,
+      critical,
+      at,
+      dryRun,
+      invocations,
+    } = req.body;
+    const changes = {
+      hour,
+      minute,
+      localTime,
+      cronExpression,
+      at,
+      audience: audience || pushTokens,
+      title,
+      body,
+      data,
+      timezone,
+      missedRunPolicy,
+      critical,
+    };
+
+    if (dryRun) {
+      return sendPreview(res, () =>
+        scheduledNotifications.previewUpdate(name, changes, invocations)
+      );
+    }
+
+    try {
+      const job = scheduledNotifications.updateJob(name, changes);
+      res.json(job);
+    } catch (error) {
+      sendScheduleError(res, error);
+    }
+  }
+);
+
+// 暂停定时任务，保留任务定义
+app.post(
+  "/api/notifications/schedule/:name/pause",
+  requireScope("schedule"),
+  (req, res) => {
+    const job = scheduledNotifications.pauseJob(req.params.name);
+    if (!job) {
+      return res.status(404).json({
+        error: `No scheduled notification found with name '${req.params.name}'`,
+      });
+    }
+    res.json(job);
+  }
+);
+
+// 恢复暂停的定时任务
+app.post(
+  "/api/notifications/schedule/:name/resume",
+  requireScope("schedule"),
+  (req, res) => {
+    try {
+      const job = scheduledNotifications.resumeJob(req.params.name);
+      if (!job) {
+        return res.status(404).json({
+          error: `No scheduled notification found with name '${req.params.name}'`,
+        });
+      }
+      res.json(job);
+    } catch (error) {
+      // 一次性任务的执行时间已过时无法恢复
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// 立即执行定时任务，dryRun 为 true 时只返回预览
+app.post(
+  "/api/notifications/schedule/:name/trigger",
+  requireScope("schedule"),
+  async (req, res) => {
+    const { name } = req.params;
+    const { dryRun, invocations } = req.body;
+
+    if (!scheduledNotifications.getJob(name)) {
+      return res
+        .status(404)
+        .json({ error: `No scheduled notification found with name '${name}'` });
+    }
+
+    if (dryRun) {
+      return sendPreview(res, () =>
+        scheduledNotifications.previewJob(name, invocations)
+      );
+    }
+
+    try {
+      const result = await scheduledNotifications.triggerJob(name);
+      res.json({
+        message: `Scheduled notification '${name}' triggered successfully`,
+        ...result,
+      });
+    } catch (error) {
+      console.error("Error triggering scheduled notification:", error);
+      res.status(500).json({ error: "Failed to trigger notification" });
+    }
+  }
+);
+
+// 查询推送历史
+app.get("/api/notifications/history", requireScope("read"), (req, res) => {
+  const { token, job, type, status, from, to, page, pageSize } = req.query;
+
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return res.status(400).json({ error: "Invalid time range" });
+  }
+
+  try {
+    const result = notificationHistory.query({
+      token,
+      job,
+      type,
+      status,
+      from,
+      to,
+      page,
+      pageSize,
     });
+    res.json(result);
   } catch (error) {
-    console.error("Error registering push token:", error);
-    res.status(500).json({
-      success: false,
-      error: "Internal server error",
-    });
+    console.error("Error querying notification history:", error);
+    res.status(500).json({ error: "Failed to query notification history" });
   }
 });
 
-// 修改汇率更新的定时推送任务
-app.post("/api/notifications/schedule/exchange-rate", async (req, res) => {
-  const { name, cronExpression } = req.body;
+// 获取支持的加密货币交易对
+app.get("/api/crypto/symbols", (req, res) => {
+  res.json({ symbols: marketMonitor.getSymbols() });
+});
 
-  if (!name || !cronExpression) {
-    return res.status(400).json({ error: "Missing required parameters" });
+// 获取加密货币当前行情
+app.get("/api/crypto/:symbol", async (req, res) => {
+  const symbol = req.params.symbol.toUpperCase();
+  if (!marketMonitor.isTracked(symbol)) {
+    return res.status(404).json({ error: `Unsupported symbol: ${symbol}` });
   }
 
   try {
-    // 获取当前汇率
-    const rateResult = await exchangeRateService.getExchangeRates();
-    if (!rateResult.success) {
-      return res.status(500).json({ error: "Failed to fetch exchange rates" });
-    }
-
-    // 使用设备管理器获取所有注册的设备
-    const tokens = await deviceManager.getActiveTokens();
-    if (tokens.length === 0) {
-      return res.status(400).json({ error: "No registered devices found" });
+    const result = await marketMonitor.getTickerSnapshot(symbol);
+    if (!result.success) {
+      return res.status(503).json({ error: result.error });
     }
 
-    const job = scheduledNotifications.scheduleCustom(
-      name,
-      cronExpression,
-      tokens,
-      "汇率更新提醒",
-      exchangeRateService.formatRateMessage(rateResult.rates),
-      { type: "exchange-rate-update", timestamp: rateResult.timestamp }
+    const { ticker } = result;
+    sendCacheable(
+      req,
+      res,
+      {
+        symbol,
+        price: ticker.price,
+        high24h: ticker.high24h,
+        low24h: ticker.low24h,
+        open24h: ticker.open24h,
+        change24h: ticker.open24h
+          ? ((ticker.price - ticker.open24h) / ticker.open24h) * 100
+          : null,
+        timestamp: ticker.timestamp,
+        fetchedAt: result.fetchedAt,
+        source: ticker.source,
+        stale: result.stale,
+      },
+      TICKER_MAX_AGE
     );
+  } catch (error) {
+    console.error("Error getting crypto ticker:", error);
+    res.status(500).json({ error: "Failed to get crypto ticker" });
+  }
+});
+
+// 获取加密货币价格历史
+app.get("/api/crypto/:symbol/history", async (req, res) => {
+  const symbol = req.params.symbol.toUpperCase();
+  if (!marketMonitor.isTracked(symbol)) {
+    return res.status(404).json({ error: `Unsupported symbol: ${symbol}` });
+  }
 
+  let query;
+  try {
+    query = marketHistory.parseQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const points = await marketHistory.getPriceHistory(symbol, query);
     res.json({
-      message: "Exchange rate notification scheduled successfully",
-      nextInvocation: job.nextInvocation(),
-      deviceCount: tokens.length,
+      symbol,
+      interval: query.interval,
+      from: new Date(query.from).toISOString(),
+      to: new Date(query.to).toISOString(),
+      points,
     });
   } catch (error) {
-    console.error("Error scheduling exchange rate notification:", error);
-    res.status(500).json({ error: "Failed to schedule notification" });
+    console.error("Error querying price history:", error);
+    res.status(500).json({ error: "Failed to query price history" });
   }
 });
 
-// 创建定时推送任务
-app.post("/api/notifications/schedule/daily", (req, res) => {
-  const { name, hour, minute, pushTokens, title, body, data } = req.body;
+// 获取当前汇率
+app.get("/api/rates", async (req, res) => {
+  try {
+    const result = await exchangeRateService.getRatesSnapshot();
+    if (!result.success) {
+      return res.status(503).json({ error: result.error });
+    }
 
-  if (
-    !name ||
-    !Array.isArray(pushTokens) ||
-    pushTokens.length === 0 ||
-    !title ||
-    !body
-  ) {
-    return res.status(400).json({ error: "Missing required parameters" });
+    const pairs = req.query.pairs
+      ? String(req.query.pairs).toUpperCase().split(",")
+      : exchangeRateService.getDefaultPairs();
+
+    try {
+      exchangeRateService.validatePairs(pairs, result.rates);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const pairRates = {};
+    pairs.forEach((pair) => {
+      const { base, quote } = exchangeRateService.parsePair(pair);
+      pairRates[`${base}/${quote}`] = exchangeRateService.getCrossRate(
+        result.rates,
+        base,
+        quote
+      );
+    });
+
+    sendCacheable(
+      req,
+      res,
+      {
+        base: "USD",
+        pairs: pairRates,
+        rates: result.rates,
+        timestamp: result.timestamp,
+        updatedAt: result.updatedAt,
+        source: result.source,
+        stale: result.stale,
+      },
+      RATES_MAX_AGE
+    );
+  } catch (error) {
+    console.error("Error getting exchange rates:", error);
+    res.status(500).json({ error: "Failed to get exchange rates" });
+  }
+});
+
+// 获取汇率历史
+app.get("/api/rates/history", async (req, res) => {
+  const pair = req.query.pair || exchangeRateService.getDefaultPairs()[0];
+  const parsed = exchangeRateService.parsePair(pair);
+  if (!parsed) {
+    return res.status(400).json({ error: `Invalid currency pair: ${pair}` });
   }
 
+  if (!exchangeRateService.hasRateHistory(pair)) {
+    return res
+      .status(400)
+      .json({ error: `Rate history is not available for ${pair}` });
+  }
+
+  let query;
   try {
-    const job = scheduledNotifications.scheduleDaily(
-      name,
-      hour,
-      minute,
-      pushTokens,
-      title,
-      body,
-      data
-    );
+    query = marketHistory.parseQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
+  try {
+    const points = await marketHistory.getRateHistory(
+      parsed.base,
+      parsed.quote,
+      query
+    );
     res.json({
-      message: "Daily notification scheduled successfully",
-      nextInvocation: job.nextInvocation(),
+      pair: `${parsed.base}/${parsed.quote}`,
+      interval: query.interval,
+      from: new Date(query.from).toISOString(),
+      to: new Date(query.to).toISOString(),
+      points,
     });
   } catch (error) {
-    console.error("Error scheduling daily notification:", error);
-    res.status(500).json({ error: "Failed to schedule notification" });
+    console.error("Error querying rate history:", error);
+    res.status(500).json({ error: "Failed to query rate history" });
   }
 });
 
-// 创建自定义定时推送任务
-app.post("/api/notifications/schedule/custom", (req, res) => {
-  const { name, cronExpression, pushTokens, title, body, data } = req.body;
+// 查询设备列表
+app.get("/api/devices", requireScope("read"), (req, res) => {
+  const { platform, tag, topic, userId, active, page, pageSize } = req.query;
+
+  if (active !== undefined && active !== "true" && active !== "false") {
+    return res.status(400).json({ error: "active must be true or false" });
+  }
+
+  try {
+    const result = deviceManager.queryDevices({
+      platform,
+      tag,
+      topic,
+      userId,
+      active: active === undefined ? undefined : active === "true",
+      page,
+      pageSize,
+    });
+    res.json(result);
+  } catch (error) {
+    console.error("Error querying devices:", error);
+    res.status(500).json({ error: "Failed to query devices" });
+  }
+});
+
+// 清理长期未更新的过期设备
+app.post("/api/devices/cleanup", requireScope("admin"), async (req, res) => {
+  try {
+    const removed = await deviceManager.cleanupExpiredDevices();
+    res.json({ removed });
+  } catch (error) {
+    console.error("Error cleaning up devices:", error);
+    res.status(500).json({ error: "Failed to clean up devices" });
+  }
+});
+
+// 获取用户的订阅设置和设备
+app.get("/api/users/:userId", requireScope("read"), (req, res) => {
+  const user = deviceManager.getUser(req.params.userId);
+  if (!user) {
+    return res.status(404).json({ error: "User not found" });
+  }
+
+  res.json({
+    ...user,
+    devices: deviceManager.getUserDevices(user.userId),
+  });
+});
+
+// 获取设备信息
+app.get("/api/devices/:token", requireScope("devices", "read"), (req, res) => {
+  const device = deviceManager.getDevice(req.params.token);
+  if (!device) {
+    return res.status(404).json({ error: "Device not found" });
+  }
+
+  res.json(device);
+});
+
+// 修改设备信息和标签，deviceInfo 只需提供要修改的字段
+app.patch("/api/devices/:token", requireScope("devices"), async (req, res) => {
+  const { token } = req.params;
+  const { deviceInfo = {}, tags } = req.body;
 
   if (
-    !name ||
-    !cronExpression ||
-    !Array.isArray(pushTokens) ||
-    pushTokens.length === 0 ||
-    !title ||
-    !body
+    !deviceInfo ||
+    typeof deviceInfo !== "object" ||
+    Array.isArray(deviceInfo)
   ) {
-    return res.status(400).json({ error: "Missing required parameters" });
+    return res.status(400).json({ error: "deviceInfo must be an object" });
   }
 
+  const existing = deviceManager.getDevice(token);
+  if (!existing) {
+    return res.status(404).json({ error: "Device not found" });
+  }
+
+  const updatedInfo = { ...existing.deviceInfo, ...deviceInfo };
   try {
-    const job = scheduledNotifications.scheduleCustom(
-      name,
-      cronExpression,
-      pushTokens,
-      title,
-      body,
-      data
+    deviceManager.validateDeviceUpdate(updatedInfo, tags);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const device = await deviceManager.updateDevice(token, updatedInfo, tags);
+    res.json(device);
+  } catch (error) {
+    console.error("Error updating device:", error);
+    res.status(500).json({ error: "Failed to update device" });
+  }
+});
+
+// 注销设备，如用户退出登录时
+app.delete("/api/devices/:token", requireScope("devices"), async (req, res) => {
+  const { token } = req.params;
+
+  if (!deviceManager.getDevice(token)) {
+    return res.status(404).json({ error: "Device not found" });
+  }
+
+  try {
+    await deviceManager.removeDevice(token);
+    res.json({ message: `Device '${token}' removed successfully` });
+  } catch (error) {
+    console.error("Error removing device:", error);
+    res.status(500).json({ error: "Failed to remove device" });
+  }
+});
+
+// 获取设备订阅的交易对
+app.get(
+  "/api/devices/:token/symbols",
+  requireScope("devices", "read"),
+  (req, res) => {
+    const device = deviceManager.getDevice(req.params.token);
+    if (!device) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+
+    res.json({
+      token: device.token,
+      symbols: deviceManager.getDeviceSymbols(device),
+    });
+  }
+);
+
+// 修改设备订阅的交易对
+app.put(
+  "/api/devices/:token/symbols",
+  requireScope("devices"),
+  async (req, res) => {
+    const { token } = req.params;
+    if (
+      !Array.isArray(req.body.symbols) ||
+      req.body.symbols.some((symbol) => typeof symbol !== "string")
+    ) {
+      return res
+        .status(400)
+        .json({ error: "Symbols must be an array of strings" });
+    }
+
+    // 交易对统一为大写，与行情监控的交易对格式一致
+    const symbols = req.body.symbols.map((symbol) =>
+      symbol.trim().toUpperCase()
+    );
+
+    const unsupported = symbols.filter(
+      (symbol) => !marketMonitor.isTracked(symbol)
     );
+    if (unsupported.length > 0) {
+      return res
+        .status(400)
+        .json({ error: `Unsupported symbols: ${unsupported.join(", ")}` });
+    }
+
+    if (!deviceManager.getDevice(token)) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+
+    try {
+      const device = await deviceManager.updateSymbols(token, symbols);
+      res.json({ token, symbols: deviceManager.getDeviceSymbols(device) });
+    } catch (error) {
+      console.error("Error updating device symbols:", error);
+      res.status(500).json({ error: "Failed to update device symbols" });
+    }
+  }
+);
+
+// 获取设备推送的汇率货币对
+app.get(
+  "/api/devices/:token/rate-pairs",
+  requireScope("devices", "read"),
+  (req, res) => {
+    const device = deviceManager.getDevice(req.params.token);
+    if (!device) {
+      return res.status(404).json({ error: "Device not found" });
+    }
 
     res.json({
-      message: "Custom notification scheduled successfully",
-      nextInvocation: job.nextInvocation(),
+      token: device.token,
+      pairs:
+        deviceManager.getDeviceRatePairs(device) ||
+        exchangeRateService.getDefaultPairs(),
     });
-  } catch (error) {
-    console.error("Error scheduling custom notification:", error);
-    res.status(500).json({ error: "Failed to schedule notification" });
   }
+);
+
+// 修改设备推送的汇率货币对
+app.put(
+  "/api/devices/:token/rate-pairs",
+  requireScope("devices"),
+  async (req, res) => {
+    const { token } = req.params;
+    const { pairs } = req.body;
+
+    if (!deviceManager.getDevice(token)) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+
+    try {
+      const rateResult = await exchangeRateService.getExchangeRates();
+      if (!rateResult.success) {
+        return res
+          .status(500)
+          .json({ error: "Failed to fetch exchange rates" });
+      }
+
+      try {
+        exchangeRateService.validatePairs(pairs, rateResult.rates);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const device = await deviceManager.updateRatePairs(token, pairs);
+      res.json({ token, pairs: deviceManager.getDeviceRatePairs(device) });
+    } catch (error) {
+      console.error("Error updating device rate pairs:", error);
+      res.status(500).json({ error: "Failed to update device rate pairs" });
+    }
+  }
+);
+
+// 获取内置主题列表
+app.get("/api/topics", (req, res) => {
+  res.json({ topics: deviceManager.getBuiltInTopics() });
 });
 
-// 取消定时推送任务
-app.delete("/api/notifications/schedule/:name", (req, res) => {
-  const { name } = req.params;
+// 获取设备订阅的主题
+app.get(
+  "/api/devices/:token/topics",
+  requireScope("devices", "read"),
+  (req, res) => {
+    const device = deviceManager.getDevice(req.params.token);
+    if (!device) {
+      return res.status(404).json({ error: "Device not found" });
+    }
 
-  const cancelled = scheduledNotifications.cancelJob(name);
-  if (cancelled) {
     res.json({
-      message: `Scheduled notification '${name}' cancelled successfully`,
+      token: device.token,
+      topics: deviceManager.getDeviceTopics(device),
     });
+  }
+);
+
+// 订阅主题
+app.post(
+  "/api/devices/:token/topics",
+  requireScope("devices"),
+  async (req, res) => {
+    const { token } = req.params;
+    const { topic } = req.body;
+
+    if (!deviceManager.isValidTopic(topic)) {
+      return res.status(400).json({ error: `Invalid topic: ${topic}` });
+    }
+
+    if (!deviceManager.getDevice(token)) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+
+    try {
+      const device = await deviceManager.subscribeTopic(token, topic);
+      res.json({ token, topics: deviceManager.getDeviceTopics(device) });
+    } catch (error) {
+      console.error("Error subscribing to topic:", error);
+      res.status(500).json({ error: "Failed to subscribe to topic" });
+    }
+  }
+);
+
+// 取消订阅主题
+app.delete(
+  "/api/devices/:token/topics/:topic",
+  requireScope("devices"),
+  async (req, res) => {
+    const { token, topic } = req.params;
+
+    if (!deviceManager.isValidTopic(topic)) {
+      return res.status(400).json({ error: `Invalid topic: ${topic}` });
+    }
+
+    if (!deviceManager.getDevice(token)) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+
+    try {
+      const device = await deviceManager.unsubscribeTopic(token, topic);
+      res.json({ token, topics: deviceManager.getDeviceTopics(device) });
+    } catch (error) {
+      console.error("Error unsubscribing from topic:", error);
+      res.status(500).json({ error: "Failed to unsubscribe from topic" });
+    }
+  }
+);
+
+// 获取 API 密钥列表
+app.get("/api/admin/api-keys", requireScope("admin"), (req, res) => {
+  res.json({ keys: apiKeys.listKeys(), scopes: apiKeys.getScopes() });
+});
+
+// 创建 API 密钥，密钥明文只在此时返回一次
+app.post("/api/admin/api-keys", requireScope("admin"), (req, res) => {
+  const { name, scopes } = req.body;
+
+  try {
+    const { key, record } = apiKeys.createKey({ name, scopes });
+    res.status(201).json({ key, ...record });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// 吊销 API 密钥
+app.delete("/api/admin/api-keys/:id", requireScope("admin"), (req, res) => {
+  const revoked = apiKeys.revokeKey(req.params.id);
+  if (revoked) {
+    res.json({ message: `API key '${req.params.id}' revoked successfully` });
   } else {
     res
       .status(404)
-      .json({ error: `No scheduled notification found with name '${name}'` });
+      .json({ error: `No API key found with id '${req.params.id}'` });
   }
 });
 
-// 获取所有活动的定时任务
-app.get("/api/notifications/schedule", (req, res) => {
-  const activeJobs = scheduledNotifications.getActiveJobs();
-  res.json(activeJobs);
+// 导出设备和用户快照
+app.get("/api/admin/snapshot", requireScope("admin"), (req, res) => {
+  try {
+    const snapshot = deviceManager.exportSnapshot();
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="snapshot-${snapshot.createdAt.replace(
+        /[:.]/g,
+        "-"
+      )}.json"`
+    );
+    res.json(snapshot);
+  } catch (error) {
+    console.error("Error exporting snapshot:", error);
+    res.status(500).json({ error: "Failed to export snapshot" });
+  }
+});
+
+// 从快照恢复设备和用户，替换现有数据
+app.post("/api/admin/snapshot", requireScope("admin"), async (req, res) => {
+  try {
+    deviceManager.validateSnapshot(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const restored = await deviceManager.restoreSnapshot(req.body);
+    res.json({ message: "Snapshot restored successfully", restored });
+  } catch (error) {
+    console.error("Error restoring snapshot:", error);
+    res.status(500).json({ error: "Failed to restore snapshot" });
+  }
+});
+
+// 获取推送队列状态
+app.get("/api/admin/notification-queue", requireScope("admin"), (req, res) => {
+  res.json(notificationQueue.getStats());
+});
+
+// 获取死信列表，最新的在前
+app.get("/api/admin/dead-letters", requireScope("admin"), (req, res) => {
+  const limit = req.query.limit ? Number(req.query.limit) : undefined;
+  if (limit !== undefined && (!Number.isInteger(limit) || limit <= 0)) {
+    return res.status(400).json({ error: "limit must be a positive integer" });
+  }
+
+  res.json({
+    total: notificationQueue.getStats().deadLetters,
+    deadLetters: notificationQueue.listDeadLetters(limit),
+  });
+});
+
+// 重新发送死信，不提供 ids 时重新发送所有死信
+app.post(
+  "/api/admin/dead-letters/replay",
+  requireScope("admin"),
+  (req, res) => {
+    const { ids } = req.body;
+    if (
+      ids !== undefined &&
+      (!Array.isArray(ids) || ids.some((id) => typeof id !== "string"))
+    ) {
+      return res.status(400).json({ error: "ids must be an array of strings" });
+    }
+
+    const replayed = notificationQueue.replayDeadLetters(ids);
+    res.json({ message: `Replaying ${replayed} notifications`, replayed });
+  }
+);
+
+// 获取设备的时区和免打扰时段
+app.get(
+  "/api/devices/:token/quiet-hours",
+  requireScope("devices", "read"),
+  (req, res) => {
+    const device = deviceManager.getDevice(req.params.token);
+    if (!device) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+
+    res.json({
+      token: device.token,
+      timezone: deviceManager.getDeviceTimezone(device),
+      quietHours: device.quietHours || null,
+    });
+  }
+);
+
+// 更新设备的时区和免打扰时段
+app.put(
+  "/api/devices/:token/quiet-hours",
+  requireScope("devices"),
+  async (req, res) => {
+    const { token } = req.params;
+    const { timezone, quietHours } = req.body;
+
+    // timezone 为 null 时恢复默认时区，quietHours 为 null 时关闭免打扰
+    if (
+      timezone !== undefined &&
+      timezone !== null &&
+      !timeZone.isValidTimeZone(timezone)
+    ) {
+      return res.status(400).json({ error: `Invalid timezone: ${timezone}` });
+    }
+
+    if (quietHours) {
+      try {
+        deviceManager.normalizeQuietHours(quietHours);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
+    if (!deviceManager.getDevice(token)) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+
+    try {
+      const device = await deviceManager.updateDeliverySettings(token, {
+        timezone,
+        quietHours,
+      });
+      res.json({
+        token,
+        timezone: deviceManager.getDeviceTimezone(device),
+        quietHours: device.quietHours || null,
+      });
+    } catch (error) {
+      console.error("Error updating quiet hours:", error);
+      res.status(500).json({ error: "Failed to update quiet hours" });
+    }
+  }
+);
+
+// 获取价格预警规则列表
+app.get("/api/alerts", requireScope("devices", "read"), (req, res) => {
+  const { token, userId, symbol } = req.query;
+  res.json(alertRules.getRules({ token, userId, symbol }));
+});
+
+// 获取单个价格预警规则
+app.get("/api/alerts/:id", requireScope("devices", "read"), (req, res) => {
+  const rule = alertRules.getRule(req.params.id);
+  if (!rule) {
+    return res
+      .status(404)
+      .json({ error: `No alert rule found with id '${req.params.id}'` });
+  }
+  res.json(rule);
+});
+
+// 创建价格预警规则
+app.post("/api/alerts", requireScope("devices"), (req, res) => {
+  const { token, ...options } = req.body;
+
+  if (!token || !options.type) {
+    return res.status(400).json({ error: "Missing required parameters" });
+  }
+
+  if (!deviceManager.getDevice(token)) {
+    return res.status(404).json({ error: "Device not found" });
+  }
+
+  if (options.symbol && !marketMonitor.isTracked(options.symbol)) {
+    return res
+      .status(400)
+      .json({ error: `Unsupported symbol: ${options.symbol}` });
+  }
+
+  try {
+    const rule = alertRules.createRule(token, options);
+    res.status(201).json(rule);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// 修改价格预警规则
+app.patch("/api/alerts/:id", requireScope("devices"), (req, res) => {
+  const { token, ...changes } = req.body;
+
+  if (
+    !checkRuleAccess(
+      res,
+      alertRules.getRule(req.params.id),
+      token,
+      `No alert rule found with id '${req.params.id}'`
+    )
+  ) {
+    return;
+  }
+
+  if (changes.symbol && !marketMonitor.isTracked(changes.symbol)) {
+    return res
+      .status(400)
+      .json({ error: `Unsupported symbol: ${changes.symbol}` });
+  }
+
+  try {
+    res.json(alertRules.updateRule(req.params.id, changes));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// 删除价格预警规则
+app.delete("/api/alerts/:id", requireScope("devices"), (req, res) => {
+  if (
+    !checkRuleAccess(
+      res,
+      alertRules.getRule(req.params.id),
+      req.query.token,
+      `No alert rule found with id '${req.params.id}'`
+    )
+  ) {
+    return;
+  }
+
+  alertRules.removeRule(req.params.id);
+  res.json({ message: `Alert rule '${req.params.id}' removed successfully` });
+});
+
+// 获取汇率预警规则列表
+app.get("/api/rate-alerts", requireScope("devices", "read"), (req, res) => {
+  const { token, userId, pair } = req.query;
+  res.json(rateAlerts.getRules({ token, userId, pair }));
+});
+
+// 获取单个汇率预警规则
+app.get("/api/rate-alerts/:id", requireScope("devices", "read"), (req, res) => {
+  const rule = rateAlerts.getRule(req.params.id);
+  if (!rule) {
+    return res
+      .status(404)
+      .json({ error: `No rate alert rule found with id '${req.params.id}'` });
+  }
+  res.json(rule);
+});
+
+// 创建汇率预警规则
+app.post("/api/rate-alerts", requireScope("devices"), async (req, res) => {
+  try {
+    const { token, ...options } = req.body;
+
+    if (!token || !options.pair || !options.type) {
+      return res.status(400).json({ error: "Missing required parameters" });
+    }
+
+    if (!deviceManager.getDevice(token)) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+
+    const rateResult = await exchangeRateService.getExchangeRates();
+    if (!rateResult.success) {
+      return res.status(500).json({ error: "Failed to fetch exchange rates" });
+    }
+
+    try {
+      exchangeRateService.validatePairs([options.pair], rateResult.rates);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // 以当前汇率作为判断穿越目标和变动幅度的起点
+    const { base, quote } = exchangeRateService.parsePair(options.pair);
+    const currentRate = exchangeRateService.getCrossRate(
+      rateResult.rates,
+      base,
+      quote
+    );
+
+    try {
+      const rule = rateAlerts.createRule(token, options, currentRate);
+      res.status(201).json(rule);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  } catch (error) {
+    console.error("Error creating rate alert rule:", error);
+    res.status(500).json({ error: "Failed to create rate alert rule" });
+  }
+});
+
+// 修改汇率预警规则
+app.patch("/api/rate-alerts/:id", requireScope("devices"), async (req, res) => {
+  try {
+    const { token, ...changes } = req.body;
+
+    if (
+      !checkRuleAccess(
+        res,
+        rateAlerts.getRule(req.params.id),
+        token,
+        `No rate alert rule found with id '${req.params.id}'`
+      )
+    ) {
+      return;
+    }
+
+    const { pair } = changes;
+    if (pair !== undefined) {
+      const rateResult = await exchangeRateService.getExchangeRates();
+      if (!rateResult.success) {
+        return res
+          .status(500)
+          .json({ error: "Failed to fetch exchange rates" });
+      }
+
+      try {
+        exchangeRateService.validatePairs([pair], rateResult.rates);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
+    try {
+      res.json(rateAlerts.updateRule(req.params.id, changes));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  } catch (error) {
+    console.error("Error updating rate alert rule:", error);
+    res.status(500).json({ error: "Failed to update rate alert rule" });
+  }
+});
+
+// 删除汇率预警规则
+app.delete("/api/rate-alerts/:id", requireScope("devices"), (req, res) => {
+  if (
+    !checkRuleAccess(
+      res,
+      rateAlerts.getRule(req.params.id),
+      req.query.token,
+      `No rate alert rule found with id '${req.params.id}'`
+    )
+  ) {
+    return;
+  }
+
+  rateAlerts.removeRule(req.params.id);
+  res.json({
+    message: `Rate alert rule '${req.params.id}' removed successfully`,
+  });
 });
 
 // 启动服务器
@@ -198,13 +1560,38 @@ app.listen(PORT, async () => {
   try {
     console.log(`Server is running on port ${PORT}`);
 
+    // 加载 API 密钥
+    await apiKeys.load();
+
+    // 加载推送历史、定时任务执行记录、价格预警规则和汇率预警状态
+    await notificationHistory.load();
+    await jobRuns.load();
+    await alertRules.load();
+    await rateAlerts.load();
+
+    // 启动推送队列，继续发送上次停止时未发出的消息
+    await notificationQueue.start();
+
+    // 启动行情历史服务
+    await marketHistory.start();
+
+    // 启动免打扰服务，发送免打扰时段结束后到期的延迟消息
+    await quietHours.start();
+
+    // 恢复持久化的定时任务
+    await scheduledNotifications.restoreJobs();
+
     // 初始化汇率更新服务
     await exchangeRateUpdater.start();
     console.log("Exchange rate update service started");
 
-    // 初始化BTC价格监控服务
-    await btcPriceMonitor.start();
-    console.log("BTC price monitor service started");
+    // 初始化行情监控服务
+    await marketMonitor.start();
+    console.log("Market monitor service started");
+
+    // 初始化推送回执检查服务
+    await receiptChecker.start();
+    console.log("Receipt checker service started");
   } catch (error) {
     console.error("Failed to initialize services:", error);
     process.exit(1);
@@ -0,0 +1,71 @@
+const apiKeys = require("../services/apiKeys");
+
+// 认证配置
+const AUTH_CONFIG = {
+  // 设备注册默认开放，设为 true 时需要 register-device 权限的密钥
+  REGISTRATION_REQUIRES_KEY: process.env.REGISTRATION_REQUIRES_KEY === "true",
+};
+
+/**
+ * 从 Authorization 请求头中取出 API 密钥
+ * 格式：Authorization: Bearer <key>
+ * @param {string} [header] - Authorization 请求头
+ * @returns {string|null} 密钥明文
+ */
+function parseAuthorization(header) {
+  if (!header) return null;
+
+  const [scheme, key] = header.trim().split(/\s+/);
+  return scheme && scheme.toLowerCase() === "bearer" && key ? key : null;
+}
+
+/**
+ * 创建需要指定权限的认证中间件
+ * 未提供或密钥无效时返回 401，权限不足时返回 403
+ * 认证通过后密钥信息保存在 req.apiKey 中
+ * @param {...string} scopes - 需要的权限范围，拥有其中任意一个即可
+ * @returns {Function} Express 中间件
+ */
+function requireScope(...scopes) {
+  return (req, res, next) => {
+    const key = parseAuthorization(req.get("Authorization"));
+    if (!key) {
+      return res
+        .status(401)
+        .set("WWW-Authenticate", "Bearer")
+        .json({ error: "API key required" });
+    }
+
+    const apiKey = apiKeys.authenticate(key);
+    if (!apiKey) {
+      return res
+        .status(401)
+        .set("WWW-Authenticate", 'Bearer error="invalid_token"')
+        .json({ error: "Invalid API key" });
+    }
+
+    if (!scopes.some((scope) => apiKeys.hasScope(apiKey, scope))) {
+      return res.status(403).json({
+        error: `API key does not have the ${scopes
+          .map((scope) => `'${scope}'`)
+          .join(" or ")} scope`,
+      });
+    }
+
+    req.apiKey = apiKey;
+    next();
+  };
+}
+
+/**
+ * 设备注册的认证中间件
+ * 只有开启 REGISTRATION_REQUIRES_KEY 时才需要密钥
+ */
+const requireRegistrationKey = AUTH_CONFIG.REGISTRATION_REQUIRES_KEY
+  ? requireScope("register-device")
+  : (req, res, next) => next();
+
+module.exports = {
+  requireScope,
+  requireRegistrationKey,
+};
@@ -0,0 +1,183 @@
+// 限流配置，格式为 "次数/时间窗口"，时间窗口单位支持 s、m、h
+const RATE_LIMIT_CONFIG = {
+  // 所有 /api 请求，按 IP
+  API_PER_IP: process.env.RATE_LIMIT_API_PER_IP || "120/1m",
+
+  // 设备注册，按 IP 和推送令牌
+  REGISTER_PER_IP: process.env.RATE_LIMIT_REGISTER_PER_IP || "10/1h",
+  REGISTER_PER_TOKEN: process.env.RATE_LIMIT_REGISTER_PER_TOKEN || "5/1h",
+
+  // 内存存储的过期记录清理间隔
+  CLEANUP_INTERVAL: 60 * 1000,
+};
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+/**
+ * 解析限流配置
+ * @param {string} limit - 限流配置，如 "10/1h"
+ * @returns {Object} { max, windowMs }
+ * @throws {Error} 格式无效时抛出错误
+ */
+function parseLimit(limit) {
+  const match = /^(\d+)\/(\d+)([smh])$/.exec(String(limit).trim());
+  if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+    throw new Error(`Invalid rate limit: ${limit}, expected e.g. "10/1h"`);
+  }
+
+  return {
+    max: Number(match[1]),
+    windowMs: Number(match[2]) * UNIT_MS[match[3]],
+  };
+}
+
+/**
+ * 内存限流存储
+ * 使用滑动窗口日志：记录每个键在时间窗口内的请求时间，只在单个进程内生效
+ *
+ * 自定义存储（如 Redis）需要实现相同的 hit 方法，可以是异步的
+ */
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+    this.cleanupTimer = setInterval(
+      () => this._cleanup(),
+      RATE_LIMIT_CONFIG.CLEANUP_INTERVAL
+    );
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * 记录一次请求
+   * 时间窗口内的请求数已达上限时不记录
+   * @param {string} key - 限流键
+   * @param {number} windowMs - 时间窗口（毫秒）
+   * @param {number} max - 时间窗口内允许的最大请求数
+   * @returns {Object} { allowed, remaining, retryAfterMs }
+   */
+  hit(key, windowMs, max) {
+    const now = Date.now();
+    const entry = this.hits.get(key);
+    const times = (entry ? entry.times : []).filter(
+      (time) => time > now - windowMs
+    );
+
+    const allowed = times.length < max;
+    if (allowed) {
+      times.push(now);
+    }
+    this.hits.set(key, { times, windowMs });
+
+    return {
+      allowed,
+      remaining: Math.max(0, max - times.length),
+      retryAfterMs: allowed ? 0 : times[0] + windowMs - now,
+    };
+  }
+
+  /**
+   * 清理过期记录，避免内存增长
+   * @private
+   */
+  _cleanup() {
+    const now = Date.now();
+    this.hits.forEach(({ times, windowMs }, key) => {
+      if (times.length === 0 || times[times.length - 1] <= now - windowMs) {
+        this.hits.delete(key);
+      }
+    });
+  }
+}
+
+let defaultStore = new MemoryStore();
+
+/**
+ * 替换默认的限流存储
+ * 多实例部署时可以换成共享存储，使限流在所有实例间生效
+ * @param {Object} store - 实现了 hit(key, windowMs, max) 的存储
+ */
+function setStore(store) {
+  if (!store || typeof store.hit !== "function") {
+    throw new Error("Rate limit store must implement hit(key, windowMs, max)");
+  }
+  defaultStore = store;
+}
+
+/**
+ * 创建滑动窗口限流中间件
+ * 超过限制时返回 429，Retry-After 响应头为需要等待的秒数
+ * @param {Object} options - 限流参数
+ * @param {string} options.name - 限流器名称，用于区分不同限流器的键
+ * @param {string} options.limit - 限流配置，如 "10/1h"
+ * @param {Function} [options.keyGenerator] - 根据请求生成限流键，默认为 IP；
+ *   返回空值时不限流
+ * @param {Object} [options.store] - 限流存储，默认使用 setStore 设置的存储
+ * @returns {Function} Express 中间件
+ */
+function createRateLimiter({
+  name,
+  limit,
+  keyGenerator = (req) => req.ip,
+  store,
+}) {
+  const { max, windowMs } = parseLimit(limit);
+
+  return async (req, res, next) => {
+    const key = keyGenerator(req);
+    if (!key) {
+      return next();
+    }
+
+    try {
+      const result = await (store || defaultStore).hit(
+        `${name}:${key}`,
+        windowMs,
+        max
+      );
+
+      res.set("RateLimit-Limit", String(max));
+      res.set("RateLimit-Remaining", String(result.remaining));
+
+      if (!result.allowed) {
+        return res
+          .status(429)
+          .set("Retry-After", String(Math.ceil(result.retryAfterMs / 1000)))
+          .json({ error: "Too many requests, please try again later" });
+      }
+    } catch (error) {
+      // 限流存储不可用时放行请求，避免影响正常服务
+      console.error(`Rate limit store error (${name}):`, error);
+    }
+
+    next();
+  };
+}
+
+// 所有 /api 请求按 IP 限流
+const apiLimiter = createRateLimiter({
+  name: "api-ip",
+  limit: RATE_LIMIT_CONFIG.API_PER_IP,
+});
+
+// 设备注册按 IP 和推送令牌限流
+const registrationLimiters = [
+  createRateLimiter({
+    name: "register-ip",
+    limit: RATE_LIMIT_CONFIG.REGISTER_PER_IP,
+  }),
+  createRateLimiter({
+    name: "register-token",
+    limit: RATE_LIMIT_CONFIG.REGISTER_PER_TOKEN,
+    keyGenerator: (req) =>
+      typeof req.body?.token === "string" ? req.body.token : null,
+  }),
+];
+
+module.exports = {
+  MemoryStore,
+  setStore,
+  parseLimit,
+  createRateLimiter,
+  apiLimiter,
+  registrationLimiters,
+};
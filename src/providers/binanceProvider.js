@@ -0,0 +1,54 @@
+const httpClient = require("../utils/httpClient");
+
+// Binance 数据源配置
+const BINANCE_CONFIG = {
+  API_URL: "https://api.binance.com/api/v3/ticker/24hr",
+};
+
+/**
+ * Binance 加密货币行情数据源
+ * 交易对在请求时转换为 Binance 格式，如 BTC-USDT => BTCUSDT
+ */
+class BinanceProvider {
+  constructor() {
+    this.name = "binance";
+    this.types = ["crypto"];
+  }
+
+  /**
+   * 获取行情
+   * @param {Array} symbols - 交易对列表
+   * @returns {Promise<Object>} 交易对 => { symbol, price, high24h, low24h, open24h, timestamp }
+   */
+  async fetchTickers(symbols) {
+    const symbolMap = new Map(
+      symbols.map((symbol) => [symbol.replace("-", ""), symbol])
+    );
+    const response = await httpClient.getWithRetry(BINANCE_CONFIG.API_URL, {
+      params: { symbols: JSON.stringify(Array.from(symbolMap.keys())) },
+    });
+    if (!Array.isArray(response.data)) {
+      throw new Error("Invalid response format");
+    }
+
+    const tickers = {};
+    response.data
+      .filter((item) => symbolMap.has(item.symbol))
+      .forEach((item) => {
+        const symbol = symbolMap.get(item.symbol);
+        tickers[symbol] = {
+          symbol,
+          price: parseFloat(item.lastPrice),
+          high24h: parseFloat(item.highPrice),
+          low24h: parseFloat(item.lowPrice),
+          open24h: parseFloat(item.openPrice),
+          timestamp: new Date(item.closeTime).toISOString(),
+        };
+      });
+
+    return tickers;
+  }
+}
+
+// 导出单例
+module.exports = new BinanceProvider();
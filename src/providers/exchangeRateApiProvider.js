@@ -0,0 +1,41 @@
+const httpClient = require("../utils/httpClient");
+
+// exchangerate-api 数据源配置
+const EXCHANGE_RATE_API_CONFIG = {
+  API_URL: "https://api.exchangerate-api.com/v4/latest/USD",
+};
+
+/**
+ * exchangerate-api.com 汇率数据源
+ * 数据每天更新一次
+ */
+class ExchangeRateApiProvider {
+  constructor() {
+    this.name = "exchangerate-api";
+    this.types = ["fx"];
+  }
+
+  /**
+   * 获取汇率
+   * @returns {Promise<Object>} { rates, timestamp }，rates 为所有货币相对USD的汇率
+   */
+  async fetchRates() {
+    const response = await httpClient.getWithRetry(
+      EXCHANGE_RATE_API_CONFIG.API_URL
+    );
+    if (!response.data || !response.data.rates) {
+      throw new Error("Invalid response format");
+    }
+
+    const { rates, time_last_updated: lastUpdated } = response.data;
+    return {
+      rates: { ...rates, USD: 1 },
+      timestamp: lastUpdated
+        ? new Date(lastUpdated * 1000).toISOString()
+        : new Date().toISOString(),
+    };
+  }
+}
+
+// 导出单例
+module.exports = new ExchangeRateApiProvider();
@@ -0,0 +1,86 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+// 本地数据文件配置
+const FIXTURE_CONFIG = {
+  FILE_PATH:
+    process.env.MARKET_FIXTURE_FILE ||
+    path.join(process.cwd(), "data", "market-fixture.json"),
+};
+
+/**
+ * 本地数据文件数据源
+ * 从 JSON 文件读取汇率和行情，用于开发测试或作为最后的备用数据源
+ *
+ * 文件格式：
+ * {
+ *   "timestamp": "2024-01-01T00:00:00Z",   // 可选，未设置时视为最新数据
+ *   "rates": { "CNY": 7.2, "JPY": 150 },   // 相对USD的汇率
+ *   "tickers": { "BTC-USDT": { "price": 42000, "high24h": 43000, "low24h": 41000, "open24h": 41500 } }
+ * }
+ */
+class FixtureProvider {
+  constructor() {
+    this.name = "fixture";
+    this.types = ["fx", "crypto"];
+  }
+
+  /**
+   * 获取汇率
+   * @returns {Promise<Object>} { rates, timestamp }
+   */
+  async fetchRates() {
+    const fixture = await this._readFixture();
+    if (!fixture.rates) {
+      throw new Error("Fixture file has no rates");
+    }
+
+    return {
+      rates: { ...fixture.rates, USD: 1 },
+      timestamp: fixture.timestamp,
+    };
+  }
+
+  /**
+   * 获取行情
+   * @param {Array} symbols - 交易对列表
+   * @returns {Promise<Object>} 交易对 => { symbol, price, high24h, low24h, open24h, timestamp }
+   */
+  async fetchTickers(symbols) {
+    const fixture = await this._readFixture();
+    const tickers = {};
+
+    symbols
+      .filter((symbol) => fixture.tickers && fixture.tickers[symbol])
+      .forEach((symbol) => {
+        const { price, high24h, low24h, open24h } = fixture.tickers[symbol];
+        tickers[symbol] = {
+          symbol,
+          price,
+          high24h: high24h === undefined ? price : high24h,
+          low24h: low24h === undefined ? price : low24h,
+          open24h: open24h === undefined ? price : open24h,
+          timestamp: fixture.timestamp,
+        };
+      });
+
+    return tickers;
+  }
+
+  /**
+   * 读取数据文件
+   * @private
+   * @returns {Promise<Object>} 数据
+   */
+  async _readFixture() {
+    const content = await fs.readFile(FIXTURE_CONFIG.FILE_PATH, "utf8");
+    const fixture = JSON.parse(content);
+    return {
+      ...fixture,
+      timestamp: new Date(fixture.timestamp || Date.now()).toISOString(),
+    };
+  }
+}
+
+// 导出单例
+module.exports = new FixtureProvider();
@@ -0,0 +1,51 @@
+const httpClient = require("../utils/httpClient");
+
+// OKX 数据源配置
+const OKX_CONFIG = {
+  API_URL: "https://www.okx.com/api/v5/market/tickers",
+  INST_TYPE: "SPOT",
+};
+
+/**
+ * OKX 加密货币行情数据源
+ * 交易对格式与 OKX instId 相同，如 BTC-USDT
+ */
+class OkxProvider {
+  constructor() {
+    this.name = "okx";
+    this.types = ["crypto"];
+  }
+
+  /**
+   * 获取行情
+   * @param {Array} symbols - 交易对列表
+   * @returns {Promise<Object>} 交易对 => { symbol, price, high24h, low24h, open24h, timestamp }
+   */
+  async fetchTickers(symbols) {
+    const response = await httpClient.getWithRetry(OKX_CONFIG.API_URL, {
+      params: { instType: OKX_CONFIG.INST_TYPE },
+    });
+    if (response.data.code !== "0" || !Array.isArray(response.data.data)) {
+      throw new Error("Invalid response format");
+    }
+
+    const tickers = {};
+    response.data.data
+      .filter((item) => symbols.includes(item.instId))
+      .forEach((item) => {
+        tickers[item.instId] = {
+          symbol: item.instId,
+          price: parseFloat(item.last),
+          high24h: parseFloat(item.high24h),
+          low24h: parseFloat(item.low24h),
+          open24h: parseFloat(item.open24h),
+          timestamp: new Date(parseInt(item.ts)).toISOString(),
+        };
+      });
+
+    return tickers;
+  }
+}
+
+// 导出单例
+module.exports = new OkxProvider();
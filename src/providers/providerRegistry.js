@@ -0,0 +1,216 @@
+const okxProvider = require("./okxProvider");
+const binanceProvider = require("./binanceProvider");
+const exchangeRateApiProvider = require("./exchangeRateApiProvider");
+const fixtureProvider = require("./fixtureProvider");
+
+const parseProviderList = (value) =>
+  value
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+// 数据源配置
+const PROVIDER_CONFIG = {
+  // 按顺序尝试的数据源，前一个出错或数据过期时使用下一个
+  FX_PROVIDERS: parseProviderList(
+    process.env.FX_PROVIDERS || "exchangerate-api"
+  ),
+  CRYPTO_PROVIDERS: parseProviderList(
+    process.env.CRYPTO_PROVIDERS || "okx,binance"
+  ),
+
+  // 数据过期时间
+  FX_MAX_AGE: 48 * 60 * 60 * 1000, // exchangerate-api 每天更新一次
+  CRYPTO_MAX_AGE: 5 * 60 * 1000,
+
+  // 调试选项
+  DEBUG: process.env.NODE_ENV === "development",
+};
+
+/**
+ * 行情数据源注册表
+ * 统一汇率（fx）和加密货币行情（crypto）的获取接口，按配置顺序在数据源之间故障转移
+ *
+ * 数据源需要提供：
+ * - name: 数据源名称
+ * - types: 支持的数据类型，fx 和/或 crypto
+ * - fetchRates(): 返回 { rates, timestamp }（fx）
+ * - fetchTickers(symbols): 返回 交易对 => { symbol, price, high24h, low24h, open24h, timestamp }（crypto）
+ */
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+
+    [
+      okxProvider,
+      binanceProvider,
+      exchangeRateApiProvider,
+      fixtureProvider,
+    ].forEach((provider) => this.register(provider));
+  }
+
+  /**
+   * 注册数据源
+   * @param {Object} provider - 数据源
+   * @throws {Error} 数据源无效时抛出错误
+   */
+  register(provider) {
+    if (!provider.name || !Array.isArray(provider.types)) {
+      throw new Error("Provider must have a name and types");
+    }
+
+    if (
+      provider.types.includes("fx") &&
+      typeof provider.fetchRates !== "function"
+    ) {
+      throw new Error(`Provider ${provider.name} must implement fetchRates`);
+    }
+
+    if (
+      provider.types.includes("crypto") &&
+      typeof provider.fetchTickers !== "function"
+    ) {
+      throw new Error(`Provider ${provider.name} must implement fetchTickers`);
+    }
+
+    this.providers.set(provider.name, provider);
+    this._log("debug", `Provider registered: ${provider.name}`);
+  }
+
+  /**
+   * 获取指定类型按顺序配置的数据源
+   * @param {string} type - 数据类型：fx、crypto
+   * @returns {Array} 数据源列表
+   */
+  getProviders(type) {
+    const names =
+      type === "fx"
+        ? PROVIDER_CONFIG.FX_PROVIDERS
+        : PROVIDER_CONFIG.CRYPTO_PROVIDERS;
+
+    return names
+      .map((name) => this.providers.get(name))
+      .filter((provider) => provider && provider.types.includes(type));
+  }
+
+  /**
+   * 获取汇率
+   * 依次尝试配置的数据源，直到获取到未过期的数据
+   * @returns {Promise<Object>} { success, rates, timestamp, source }
+   */
+  async getRates() {
+    for (const provider of this.getProviders("fx")) {
+      try {
+        const { rates, timestamp } = await provider.fetchRates();
+
+        if (this._isStale(timestamp, PROVIDER_CONFIG.FX_MAX_AGE)) {
+          this._log(
+            "warn",
+            `Stale rates from ${provider.name} (updated at ${timestamp}), trying next provider`
+          );
+          continue;
+        }
+
+        return { success: true, rates, timestamp, source: provider.name };
+      } catch (error) {
+        this._log(
+          "warn",
+          `Provider ${provider.name} failed to fetch rates: ${error.message}`
+        );
+      }
+    }
+
+    return { success: false, error: "All exchange rate providers failed" };
+  }
+
+  /**
+   * 获取行情
+   * 依次尝试配置的数据源，缺失或过期的交易对由下一个数据源补全
+   * @param {Array} symbols - 交易对列表
+   * @returns {Promise<Object>} { success, tickers }，每条行情带有 source 字段
+   */
+  async getTickers(symbols) {
+    const tickers = {};
+    let remaining = [...symbols];
+
+    for (const provider of this.getProviders("crypto")) {
+      if (remaining.length === 0) break;
+
+      try {
+        const result = await provider.fetchTickers(remaining);
+
+        remaining.forEach((symbol) => {
+          const ticker = result[symbol];
+          if (
+            ticker &&
+            !this._isStale(ticker.timestamp, PROVIDER_CONFIG.CRYPTO_MAX_AGE)
+          ) {
+            tickers[symbol] = { ...ticker, source: provider.name };
+          }
+        });
+        remaining = remaining.filter((symbol) => !tickers[symbol]);
+
+        if (remaining.length > 0) {
+          this._log(
+            "warn",
+            `Provider ${
+              provider.name
+            } has no fresh tickers for ${remaining.join(", ")}`
+          );
+        }
+      } catch (error) {
+        this._log(
+          "warn",
+          `Provider ${provider.name} failed to fetch tickers: ${error.message}`
+        );
+      }
+    }
+
+    if (Object.keys(tickers).length === 0) {
+      return { success: false, error: "All market data providers failed" };
+    }
+
+    return { success: true, tickers };
+  }
+
+  /**
+   * 判断数据是否过期
+   * @private
+   * @param {string} timestamp - 数据时间（ISO 格式）
+   * @param {number} maxAge - 最长有效时间（毫秒）
+   * @returns {boolean} 是否过期
+   */
+  _isStale(timestamp, maxAge) {
+    const time = new Date(timestamp).getTime();
+    return Number.isNaN(time) || Date.now() - time > maxAge;
+  }
+
+  /**
+   * 日志输出
+   * @private
+   * @param {string} level - 日志级别
+   * @param {string} message - 日志消息
+   */
+  _log(level, message) {
+    if (!PROVIDER_CONFIG.DEBUG && level === "debug") {
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [Providers] [${level.toUpperCase()}] ${message}`;
+
+    switch (level) {
+      case "error":
+        console.error(logMessage);
+        break;
+      case "warn":
+        console.warn(logMessage);
+        break;
+      default:
+        console.log(logMessage);
+    }
+  }
+}
+
+// 导出单例
+module.exports = new ProviderRegistry();
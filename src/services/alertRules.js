@@ -0,0 +1,424 @@
+const crypto = require("crypto");
+const deviceManager = require("./deviceManager");
+const jsonStorage = require("../utils/jsonStorage");
+
+// 价格预警规则配置
+const ALERT_RULES_CONFIG = {
+  // 存储配置
+  RULES_FILE: "alert-rules.json",
+
+  // 规则配置
+  DEFAULT_SYMBOL: "BTC-USDT",
+  RULE_TYPES: ["above", "below", "percent_change", "cross_high", "cross_low"],
+  MAX_RULES_PER_DEVICE: 20, // 属于用户的设备按用户计算
+  DEFAULT_COOLDOWN_MINUTES: 30,
+  DEFAULT_WINDOW_MINUTES: 60,
+  MAX_WINDOW_MINUTES: 24 * 60,
+
+  // 调试选项
+  DEBUG: process.env.NODE_ENV === "development",
+};
+
+/**
+ * 价格预警规则服务类
+ * 管理设备自定义的价格预警规则，并根据行情数据判断规则是否触发
+ * 每条规则针对一个交易对（symbol），未指定时为 BTC-USDT
+ *
+ * 规则类型：
+ * - above: 价格高于 price
+ * - below: 价格低于 price
+ * - percent_change: windowMinutes 分钟内涨跌幅超过 percent%
+ * - cross_high: 价格突破上一次检查时的24小时最高价
+ * - cross_low: 价格跌破上一次检查时的24小时最低价
+ */
+class AlertRuleManager {
+  constructor() {
+    this.rules = new Map();
+    this.loaded = false;
+    this._log("info", "Alert rule service initialized");
+  }
+
+  /**
+   * 加载预警规则
+   */
+  async load() {
+    try {
+      const stored = await jsonStorage.read(ALERT_RULES_CONFIG.RULES_FILE, []);
+      stored.forEach((rule) => {
+        if (!this.rules.has(rule.id)) {
+          this.rules.set(rule.id, {
+            ...rule,
+            symbol: rule.symbol || ALERT_RULES_CONFIG.DEFAULT_SYMBOL,
+          });
+        }
+      });
+      this.loaded = true;
+      this._log("info", `Loaded ${stored.length} alert rules from storage`);
+    } catch (error) {
+      this._handleError("Failed to load alert rules", error);
+      throw error;
+    }
+  }
+
+  /**
+   * 创建预警规则
+   * @param {string} token - 推送令牌
+   * @param {Object} options - 规则参数
+   * @param {string} options.type - 规则类型
+   * @param {string} [options.symbol] - 交易对，默认 BTC-USDT
+   * @param {number} [options.price] - 价格阈值（above/below）
+   * @param {number} [options.percent] - 涨跌幅阈值（percent_change）
+   * @param {number} [options.windowMinutes] - 涨跌幅统计窗口（percent_change）
+   * @param {number} [options.cooldownMinutes] - 冷却时间
+   * @returns {Object} 创建的规则
+   * @throws {Error} 验证失败时抛出错误
+   */
+  createRule(token, options) {
+    const device = deviceManager.getDevice(token);
+    if (!device) {
+      throw new Error("Device not found");
+    }
+
+    if (
+      this.getRules({ token }).length >= ALERT_RULES_CONFIG.MAX_RULES_PER_DEVICE
+    ) {
+      throw new Error("Maximum number of alert rules reached");
+    }
+
+    const now = new Date().toISOString();
+    const rule = this._buildRule({
+      id: crypto.randomUUID(),
+      token,
+      userId: device.userId || null, // 属于用户的规则对用户的所有设备生效
+      symbol: ALERT_RULES_CONFIG.DEFAULT_SYMBOL,
+      ...this._pickRuleFields(options),
+      lastTriggeredAt: null,
+      lastTriggeredPrice: null,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    this._validateRule(rule);
+    this.rules.set(rule.id, rule);
+    this._saveRules();
+
+    this._log("info", `Alert rule created: ${rule.id}`, rule);
+    return rule;
+  }
+
+  /**
+   * 更新预警规则
+   * @param {string} id - 规则 ID
+   * @param {Object} changes - 要修改的规则参数
+   * @returns {Object|null} 更新后的规则，规则不存在时返回 null
+   * @throws {Error} 验证失败时抛出错误
+   */
+  updateRule(id, changes) {
+    const existing = this.rules.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const rule = this._buildRule({
+      ...existing,
+      ...this._pickRuleFields(changes),
+      updatedAt: new Date().toISOString(),
+    });
+
+    this._validateRule(rule);
+    this.rules.set(id, rule);
+    this._saveRules();
+
+    this._log("info", `Alert rule updated: ${id}`, rule);
+    return rule;
+  }
+
+  /**
+   * 删除预警规则
+   * @param {string} id - 规则 ID
+   * @returns {boolean} 是否成功删除
+   */
+  removeRule(id) {
+    if (!this.rules.delete(id)) {
+      return false;
+    }
+
+    this._saveRules();
+    this._log("info", `Alert rule removed: ${id}`);
+    return true;
+  }
+
+  /**
+   * 获取预警规则
+   * @param {string} id - 规则 ID
+   * @returns {Object|null} 规则
+   */
+  getRule(id) {
+    return this.rules.get(id) || null;
+  }
+
+  /**
+   * 获取预警规则列表
+   * @param {Object} [filters] - 过滤条件
+   * @param {string} [filters.token] - 推送令牌，包含同一用户其他设备创建的规则
+   * @param {string} [filters.userId] - 用户 ID
+   * @param {string} [filters.symbol] - 交易对
+   * @returns {Array} 规则列表
+   */
+  getRules(filters = {}) {
+    return Array.from(this.rules.values()).filter(
+      (rule) =>
+        (!filters.token || deviceManager.canAccess(filters.token, rule)) &&
+        (!filters.userId || rule.userId === filters.userId) &&
+        (!filters.symbol || rule.symbol === filters.symbol)
+    );
+  }
+
+  /**
+   * 根据行情数据检查交易对的所有规则
+   * @param {string} symbol - 交易对
+   * @param {Object} ticker - 当前行情 { price, high24h, low24h }
+   * @param {Object} context - 判断所需的历史数据
+   * @param {Object|null} context.previousTicker - 上一次检查时的行情
+   * @param {Array} context.samples - 历史价格样本 [{ price, time }]
+   * @returns {Array} 触发的规则及说明 [{ rule, detail }]
+   */
+  evaluate(symbol, ticker, { previousTicker = null, samples = [] } = {}) {
+    const now = Date.now();
+    const triggered = [];
+
+    for (const rule of this.getRules({ symbol })) {
+      // 没有接收设备的规则不再触发
+      if (deviceManager.getRecipientTokens(rule).length === 0) continue;
+
+      if (
+        rule.lastTriggeredAt &&
+        now - new Date(rule.lastTriggeredAt).getTime() <
+          rule.cooldownMinutes * 60 * 1000
+      ) {
+        continue;
+      }
+
+      const detail = this._matchRule(rule, ticker, previousTicker, samples);
+      if (detail) {
+        triggered.push({ rule, detail });
+      }
+    }
+
+    return triggered;
+  }
+
+  /**
+   * 记录规则已触发，开始冷却
+   * @param {Array} ids - 规则 ID 列表
+   * @param {number} price - 触发时的价格
+   */
+  markTriggered(ids, price) {
+    const now = new Date().toISOString();
+
+    ids.forEach((id) => {
+      const rule = this.rules.get(id);
+      if (rule) {
+        rule.lastTriggeredAt = now;
+        rule.lastTriggeredPrice = price;
+      }
+    });
+
+    if (ids.length > 0) {
+      this._saveRules();
+    }
+  }
+
+  /**
+   * 判断单条规则是否满足触发条件
+   * @private
+   * @param {Object} rule - 规则
+   * @param {Object} ticker - 当前行情
+   * @param {Object|null} previousTicker - 上一次检查时的行情
+   * @param {Array} samples - 历史价格样本
+   * @returns {Object|null} 触发说明，未触发时返回 null
+   */
+  _matchRule(rule, ticker, previousTicker, samples) {
+    const { price } = ticker;
+
+    switch (rule.type) {
+      case "above":
+        return price > rule.price ? { threshold: rule.price } : null;
+      case "below":
+        return price < rule.price ? { threshold: rule.price } : null;
+      case "percent_change": {
+        const windowStart = Date.now() - rule.windowMinutes * 60 * 1000;
+        const baseline = samples.find((sample) => sample.time >= windowStart);
+        if (!baseline || !baseline.price) return null;
+
+        const change = ((price - baseline.price) / baseline.price) * 100;
+        return Math.abs(change) >= rule.percent
+          ? { change, baselinePrice: baseline.price }
+          : null;
+      }
+      case "cross_high":
+        return previousTicker && price > previousTicker.high24h
+          ? { threshold: previousTicker.high24h }
+          : null;
+      case "cross_low":
+        return previousTicker && price < previousTicker.low24h
+          ? { threshold: previousTicker.low24h }
+          : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 提取可由用户设置的规则字段
+   * @private
+   * @param {Object} options - 规则参数
+   * @returns {Object} 规则字段
+   */
+  _pickRuleFields(options = {}) {
+    const fields = {};
+    [
+      "symbol",
+      "type",
+      "price",
+      "percent",
+      "windowMinutes",
+      "cooldownMinutes",
+    ].forEach((key) => {
+      if (options[key] !== undefined) {
+        fields[key] = options[key];
+      }
+    });
+    return fields;
+  }
+
+  /**
+   * 补全规则默认值
+   * @private
+   * @param {Object} rule - 规则
+   * @returns {Object} 规则
+   */
+  _buildRule(rule) {
+    return {
+      ...rule,
+      price: rule.type === "above" || rule.type === "below" ? rule.price : null,
+      percent: rule.type === "percent_change" ? rule.percent : null,
+      windowMinutes:
+        rule.type === "percent_change"
+          ? rule.windowMinutes || ALERT_RULES_CONFIG.DEFAULT_WINDOW_MINUTES
+          : null,
+      cooldownMinutes:
+        rule.cooldownMinutes === undefined || rule.cooldownMinutes === null
+          ? ALERT_RULES_CONFIG.DEFAULT_COOLDOWN_MINUTES
+          : rule.cooldownMinutes,
+    };
+  }
+
+  /**
+   * 验证规则
+   * @private
+   * @param {Object} rule - 规则
+   * @throws {Error} 验证失败时抛出错误
+   */
+  _validateRule(rule) {
+    if (!rule.symbol || typeof rule.symbol !== "string") {
+      throw new Error("Alert symbol must be a string");
+    }
+
+    if (!ALERT_RULES_CONFIG.RULE_TYPES.includes(rule.type)) {
+      throw new Error(`Unsupported alert rule type: ${rule.type}`);
+    }
+
+    if (
+      (rule.type === "above" || rule.type === "below") &&
+      !(typeof rule.price === "number" && rule.price > 0)
+    ) {
+      throw new Error("Alert price must be a positive number");
+    }
+
+    if (rule.type === "percent_change") {
+      if (!(typeof rule.percent === "number" && rule.percent > 0)) {
+        throw new Error("Alert percent must be a positive number");
+      }
+
+      if (
+        !Number.isInteger(rule.windowMinutes) ||
+        rule.windowMinutes <= 0 ||
+        rule.windowMinutes > ALERT_RULES_CONFIG.MAX_WINDOW_MINUTES
+      ) {
+        throw new Error(
+          `Alert window must be between 1 and ${ALERT_RULES_CONFIG.MAX_WINDOW_MINUTES} minutes`
+        );
+      }
+    }
+
+    if (
+      !(typeof rule.cooldownMinutes === "number" && rule.cooldownMinutes >= 0)
+    ) {
+      throw new Error("Alert cooldown must be a non-negative number");
+    }
+  }
+
+  /**
+   * 保存预警规则
+   * 加载完成前不写入，避免覆盖已有规则
+   * @private
+   */
+  _saveRules() {
+    if (!this.loaded) return;
+
+    jsonStorage
+      .write(ALERT_RULES_CONFIG.RULES_FILE, Array.from(this.rules.values()))
+      .catch((error) => this._handleError("Failed to save alert rules", error));
+  }
+
+  /**
+   * 日志输出
+   * @private
+   * @param {string} level - 日志级别
+   * @param {string} message - 日志消息
+   * @param {Object} [data] - 附加数据
+   */
+  _log(level, message, data = null) {
+    if (!ALERT_RULES_CONFIG.DEBUG && level === "debug") {
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [AlertRules] [${level.toUpperCase()}] ${message}`;
+
+    switch (level) {
+      case "error":
+        console.error(logMessage);
+        break;
+      case "warn":
+        console.warn(logMessage);
+        break;
+      case "debug":
+        console.log(logMessage);
+        if (data) console.log(JSON.stringify(data, null, 2));
+        break;
+      default:
+        console.log(logMessage);
+    }
+  }
+
+  /**
+   * 错误处理
+   * @private
+   * @param {string} context - 错误上下文
+   * @param {Error} error - 错误对象
+   */
+  _handleError(context, error) {
+    this._log("error", `${context}:`);
+    this._log("error", `Name: ${error.name}`);
+    this._log("error", `Message: ${error.message}`);
+
+    if (error.stack && ALERT_RULES_CONFIG.DEBUG) {
+      this._log("error", "Stack:", error.stack);
+    }
+  }
+}
+
+// 导出单例
+module.exports = new AlertRuleManager();
@@ -0,0 +1,296 @@
+const crypto = require("crypto");
+const jsonStorage = require("../utils/jsonStorage");
+
+// API 密钥配置
+const API_KEY_CONFIG = {
+  // 存储配置
+  KEYS_FILE: "api-keys.json",
+
+  // 密钥配置
+  SCOPES: ["register-device", "devices", "schedule", "admin", "read"],
+  KEY_PREFIX: "lyk_",
+  KEY_BYTES: 32,
+  MAX_NAME_LENGTH: 64,
+
+  // 通过环境变量配置的管理员密钥，用于创建第一批密钥
+  BOOTSTRAP_KEY: process.env.ADMIN_API_KEY || null,
+
+  // 调试选项
+  DEBUG: process.env.NODE_ENV === "development",
+};
+
+/**
+ * API 密钥服务类
+ * 密钥只保存 SHA-256 哈希，明文只在创建时返回一次
+ *
+ * 权限范围：
+ * - register-device: 注册设备（开启 REGISTRATION_REQUIRES_KEY 时需要）
+ * - devices: 查看和修改设备、设备的订阅设置和预警规则
+ * - schedule: 创建和取消定时推送任务
+ * - read: 查看定时任务、推送历史、设备和预警规则
+ * - admin: 管理 API 密钥，并拥有其他所有权限
+ */
+class ApiKeyManager {
+  constructor() {
+    this.keys = new Map();
+    this.loaded = false;
+    this.bootstrapHash = API_KEY_CONFIG.BOOTSTRAP_KEY
+      ? this._hashKey(API_KEY_CONFIG.BOOTSTRAP_KEY)
+      : null;
+    this._log("info", "API key service initialized");
+  }
+
+  /**
+   * 加载 API 密钥
+   */
+  async load() {
+    try {
+      const stored = await jsonStorage.read(API_KEY_CONFIG.KEYS_FILE, []);
+      stored.forEach((record) => {
+        if (!this.keys.has(record.id)) {
+          this.keys.set(record.id, record);
+        }
+      });
+      this.loaded = true;
+      this._log("info", `Loaded ${stored.length} API keys from storage`);
+
+      if (this.keys.size === 0 && !this.bootstrapHash) {
+        this._log(
+          "warn",
+          "No API keys configured, set ADMIN_API_KEY to access protected endpoints"
+        );
+      }
+    } catch (error) {
+      this._handleError("Failed to load API keys", error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取支持的权限范围
+   * @returns {Array} 权限范围列表
+   */
+  getScopes() {
+    return [...API_KEY_CONFIG.SCOPES];
+  }
+
+  /**
+   * 创建 API 密钥
+   * @param {Object} options - 密钥参数
+   * @param {string} options.name - 密钥名称，用于区分用途
+   * @param {Array} options.scopes - 权限范围
+   * @returns {Object} { key, record }，key 为密钥明文，只在此时返回
+   * @throws {Error} 验证失败时抛出错误
+   */
+  createKey({ name, scopes }) {
+    this._validateKeyOptions(name, scopes);
+
+    const key = `${API_KEY_CONFIG.KEY_PREFIX}${crypto
+      .randomBytes(API_KEY_CONFIG.KEY_BYTES)
+      .toString("base64url")}`;
+    const record = {
+      id: crypto.randomUUID(),
+      name,
+      scopes: [...new Set(scopes)],
+      hash: this._hashKey(key),
+      // 保存密钥开头几位，便于在列表中辨认
+      hint: key.slice(0, API_KEY_CONFIG.KEY_PREFIX.length + 4),
+      createdAt: new Date().toISOString(),
+    };
+
+    this.keys.set(record.id, record);
+    this._saveKeys();
+
+    this._log("info", `API key created: ${record.id}`, {
+      name,
+      scopes: record.scopes,
+    });
+    return { key, record: this._toPublic(record) };
+  }
+
+  /**
+   * 获取所有 API 密钥（不含哈希）
+   * @returns {Array} 密钥列表
+   */
+  listKeys() {
+    return Array.from(this.keys.values()).map((record) =>
+      this._toPublic(record)
+    );
+  }
+
+  /**
+   * 吊销 API 密钥
+   * @param {string} id - 密钥 ID
+   * @returns {boolean} 是否吊销成功
+   */
+  revokeKey(id) {
+    if (!this.keys.delete(id)) {
+      return false;
+    }
+
+    this._saveKeys();
+    this._log("info", `API key revoked: ${id}`);
+    return true;
+  }
+
+  /**
+   * 验证 API 密钥
+   * @param {string} key - 密钥明文
+   * @returns {Object|null} 密钥信息 { id, name, scopes }，无效时返回 null
+   */
+  authenticate(key) {
+    if (!key || typeof key !== "string") {
+      return null;
+    }
+
+    const hash = this._hashKey(key);
+
+    if (this.bootstrapHash && this._hashEquals(hash, this.bootstrapHash)) {
+      return { id: "bootstrap", name: "ADMIN_API_KEY", scopes: ["admin"] };
+    }
+
+    const record = Array.from(this.keys.values()).find((candidate) =>
+      this._hashEquals(hash, candidate.hash)
+    );
+    return record ? this._toPublic(record) : null;
+  }
+
+  /**
+   * 密钥是否拥有指定权限
+   * admin 权限包含其他所有权限
+   * @param {Object} apiKey - authenticate 返回的密钥信息
+   * @param {string} scope - 权限范围
+   * @returns {boolean} 是否拥有权限
+   */
+  hasScope(apiKey, scope) {
+    return apiKey.scopes.includes("admin") || apiKey.scopes.includes(scope);
+  }
+
+  /**
+   * 验证密钥参数
+   * @private
+   * @param {string} name - 密钥名称
+   * @param {Array} scopes - 权限范围
+   * @throws {Error} 验证失败时抛出错误
+   */
+  _validateKeyOptions(name, scopes) {
+    if (
+      !name ||
+      typeof name !== "string" ||
+      name.length > API_KEY_CONFIG.MAX_NAME_LENGTH
+    ) {
+      throw new Error(
+        `Key name is required and must be at most ${API_KEY_CONFIG.MAX_NAME_LENGTH} characters`
+      );
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error("Scopes must be a non-empty array");
+    }
+
+    const invalid = scopes.filter(
+      (scope) => !API_KEY_CONFIG.SCOPES.includes(scope)
+    );
+    if (invalid.length > 0) {
+      throw new Error(
+        `Invalid scopes: ${invalid.join(
+          ", "
+        )}. Supported scopes: ${API_KEY_CONFIG.SCOPES.join(", ")}`
+      );
+    }
+  }
+
+  /**
+   * 计算密钥哈希
+   * @private
+   * @param {string} key - 密钥明文
+   * @returns {string} 十六进制 SHA-256 哈希
+   */
+  _hashKey(key) {
+    return crypto.createHash("sha256").update(key).digest("hex");
+  }
+
+  /**
+   * 以固定时间比较哈希
+   * @private
+   * @param {string} a - 哈希
+   * @param {string} b - 哈希
+   * @returns {boolean} 是否相等
+   */
+  _hashEquals(a, b) {
+    return crypto.timingSafeEqual(Buffer.from(a, "hex"), Buffer.from(b, "hex"));
+  }
+
+  /**
+   * 去掉密钥哈希
+   * @private
+   * @param {Object} record - 密钥记录
+   * @returns {Object} 密钥信息
+   */
+  _toPublic({ hash, ...record }) {
+    return record;
+  }
+
+  /**
+   * 保存 API 密钥
+   * 加载完成前不写入，避免覆盖已有数据
+   * @private
+   */
+  _saveKeys() {
+    if (!this.loaded) return;
+
+    jsonStorage
+      .write(API_KEY_CONFIG.KEYS_FILE, Array.from(this.keys.values()))
+      .catch((error) => this._handleError("Failed to save API keys", error));
+  }
+
+  /**
+   * 日志输出
+   * @private
+   * @param {string} level - 日志级别
+   * @param {string} message - 日志消息
+   * @param {Object} [data] - 附加数据
+   */
+  _log(level, message, data = null) {
+    if (!API_KEY_CONFIG.DEBUG && level === "debug") {
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [ApiKeys] [${level.toUpperCase()}] ${message}`;
+
+    switch (level) {
+      case "error":
+        console.error(logMessage);
+        break;
+      case "warn":
+        console.warn(logMessage);
+        break;
+      case "debug":
+        console.log(logMessage);
+        if (data) console.log(JSON.stringify(data, null, 2));
+        break;
+      default:
+        console.log(logMessage);
+    }
+  }
+
+  /**
+   * 错误处理
+   * @private
+   * @param {string} context - 错误上下文
+   * @param {Error} error - 错误对象
+   */
+  _handleError(context, error) {
+    this._log("error", `${context}:`);
+    this._log("error", `Name: ${error.name}`);
+    this._log("error", `Message: ${error.message}`);
+
+    if (error.stack && API_KEY_CONFIG.DEBUG) {
+      this._log("error", "Stack:", error.stack);
+    }
+  }
+}
+
+// 导出单例
+module.exports = new ApiKeyManager();
@@ -1,41 +1,82 @@
-const fs = require("fs").promises;
-const path = require("path");
+const timeZone = require("../utils/timeZone");
+const { createDeviceStore } = require("../storage");
 
 // 设备管理配置
 const DEVICE_CONFIG = {
-  // 文件存储配置
-  STORAGE_DIR: path.join(process.cwd(), "data"),
-  DEVICES_FILE: "devices.json",
-
   // 设备配置
   SUPPORTED_PLATFORMS: ["ios", "android"],
-  MAX_DEVICES_PER_USER: 5,
+  DEFAULT_SYMBOLS: ["BTC-USDT"], // 未设置订阅的设备默认订阅的交易对
+
+  // 主题配置，未设置订阅的设备默认订阅所有内置主题
+  BUILT_IN_TOPICS: {
+    "exchange-rate": "汇率更新和汇率变动提醒",
+    "crypto-price": "加密货币价格更新",
+    "price-alert": "价格预警规则提醒",
+    "rate-alert": "汇率预警规则提醒",
+  },
+  TOPIC_PATTERN: /^[a-z0-9][a-z0-9_-]{0,63}$/,
+  MAX_TOPICS: 50,
+
+  // 时区和免打扰配置
+  DEFAULT_TIMEZONE: "Asia/Shanghai", // 未设置时区的设备使用的时区
+  QUIET_HOURS_MODES: ["suppress", "defer"],
+  DEFAULT_QUIET_HOURS_MODE: "defer",
+  MAX_DEVICES_PER_USER: 5, // 超过时删除该用户最早更新的设备
+  USER_ID_PATTERN: /^[A-Za-z0-9][A-Za-z0-9_.@-]{0,127}$/,
   TOKEN_EXPIRY_DAYS: 30,
 
+  // 快照格式版本
+  SNAPSHOT_VERSION: 1,
+
+  // 查询配置
+  DEFAULT_PAGE_SIZE: 50,
+  MAX_PAGE_SIZE: 500,
+
   // 调试选项
   DEBUG: process.env.NODE_ENV === "development",
 };
 
 /**
  * 设备管理服务类
+ * 设备可以属于一个用户（userId），同一用户的设备共用用户的订阅设置
+ * （交易对、主题、汇率货币对），没有用户的设备使用自己的订阅设置
  */
 class DeviceManager {
   constructor() {
     this.devices = new Map();
+    this.users = new Map();
+    this.store = null;
     this.initialized = false;
     this.initializeService();
   }
 
   /**
    * 初始化服务
+   * 从存储中加载所有设备和用户，之后的读取都使用内存中的数据
    * @private
    */
   async initializeService() {
     try {
-      await this._ensureStorageDirectory();
-      await this._loadDevices();
+      this.store = createDeviceStore();
+      const imported = await this.store.open();
+      if (imported) {
+        this._log(
+          "info",
+          `Imported ${imported.devices} devices and ${imported.users} users from JSON files`
+        );
+      }
+
+      this.devices = new Map(
+        this.store.loadDevices().map((device) => [device.token, device])
+      );
+      this.users = new Map(
+        this.store.loadUsers().map((user) => [user.userId, user])
+      );
       this.initialized = true;
-      this._log("info", "Device manager initialized successfully");
+      this._log(
+        "info",
+        `Device manager initialized with ${this.store.type} storage: ${this.devices.size} devices, ${this.users.size} users`
+      );
     } catch (error) {
       this._handleError("Failed to initialize device manager", error);
       this.initialized = false;
@@ -43,61 +84,108 @@ class DeviceManager {
   }
 
   /**
-   * 确保存储目录存在
+   * 将修改写入存储，保存成功后再更新内存中的数据
+   * 同一次提交的修改在一个事务中保存（JSON 存储除外），
+   * 保存失败时内存中的数据保持不变
    * @private
+   * @param {Object} changes - 修改内容
+   * @param {Array} [changes.devices] - 新增或更新的设备
+   * @param {Array} [changes.removedDevices] - 删除的设备令牌
+   * @param {Array} [changes.users] - 新增或更新的用户
    */
-  async _ensureStorageDirectory() {
+  async _commit(changes) {
     try {
-      await fs.access(DEVICE_CONFIG.STORAGE_DIR);
-    } catch {
-      await fs.mkdir(DEVICE_CONFIG.STORAGE_DIR, { recursive: true });
-      this._log(
-        "info",
-        `Created storage directory: ${DEVICE_CONFIG.STORAGE_DIR}`
-      );
+      await this.store.commit(changes);
+      this._log("debug", "Device changes saved to storage");
+    } catch (error) {
+      throw new Error(`Failed to save devices: ${error.message}`);
     }
+
+    const { devices = [], removedDevices = [], users = [] } = changes;
+    devices.forEach((device) => this.devices.set(device.token, device));
+    removedDevices.forEach((token) => this.devices.delete(token));
+    users.forEach((user) => this.users.set(user.userId, user));
   }
 
   /**
-   * 加载设备数据
-   * @private
+   * 导出所有设备和用户的快照
+   * @returns {Object} 快照 { version, createdAt, devices, users }
    */
-  async _loadDevices() {
-    const filePath = path.join(
-      DEVICE_CONFIG.STORAGE_DIR,
-      DEVICE_CONFIG.DEVICES_FILE
-    );
-    try {
-      const data = await fs.readFile(filePath, "utf8");
-      const devices = JSON.parse(data);
-      this.devices = new Map(Object.entries(devices));
-      this._log("info", `Loaded ${this.devices.size} devices from storage`);
-    } catch (error) {
-      if (error.code === "ENOENT") {
-        this._log("info", "No existing devices file found, starting fresh");
-        await this._saveDevices();
-      } else {
-        throw new Error(`Failed to load devices: ${error.message}`);
-      }
+  exportSnapshot() {
+    if (!this.initialized) {
+      throw new Error("Device manager is not initialized");
     }
+
+    return {
+      version: DEVICE_CONFIG.SNAPSHOT_VERSION,
+      createdAt: new Date().toISOString(),
+      devices: this.getAllDevices(),
+      users: Array.from(this.users.values()),
+    };
   }
 
   /**
-   * 保存设备数据
-   * @private
+   * 从快照恢复所有设备和用户，替换现有数据
+   * @param {Object} snapshot - exportSnapshot 导出的快照
+   * @returns {Promise<Object>} 恢复的数量 { devices, users }
+   * @throws {Error} 快照无效时抛出错误
    */
-  async _saveDevices() {
-    const filePath = path.join(
-      DEVICE_CONFIG.STORAGE_DIR,
-      DEVICE_CONFIG.DEVICES_FILE
-    );
+  async restoreSnapshot(snapshot) {
+    if (!this.initialized) {
+      throw new Error("Device manager is not initialized");
+    }
+
+    const { devices, users } = this.validateSnapshot(snapshot);
+
     try {
-      const data = JSON.stringify(Object.fromEntries(this.devices), null, 2);
-      await fs.writeFile(filePath, data, "utf8");
-      this._log("debug", "Devices saved to storage");
+      await this.store.replaceAll({ devices, users });
+      this.devices = new Map(devices.map((device) => [device.token, device]));
+      this.users = new Map(users.map((user) => [user.userId, user]));
+
+      this._log(
+        "info",
+        `Restored ${devices.length} devices and ${users.length} users from snapshot created at ${snapshot.createdAt}`
+      );
+      return { devices: devices.length, users: users.length };
     } catch (error) {
-      throw new Error(`Failed to save devices: ${error.message}`);
+      this._handleError("Failed to restore snapshot", error);
+      throw error;
+    }
+  }
+
+  /**
+   * 验证快照
+   * @param {Object} snapshot - 快照
+   * @returns {Object} { devices, users }
+   * @throws {Error} 验证失败时抛出错误
+   */
+  validateSnapshot(snapshot) {
+    if (!snapshot || snapshot.version !== DEVICE_CONFIG.SNAPSHOT_VERSION) {
+      throw new Error(
+        `Unsupported snapshot version: ${snapshot && snapshot.version}`
+      );
     }
+
+    const { devices, users = [] } = snapshot;
+    if (!Array.isArray(devices) || !Array.isArray(users)) {
+      throw new Error("Snapshot devices and users must be arrays");
+    }
+
+    devices.forEach((device) => {
+      this._validateToken(device && device.token);
+      this._validateDeviceInfo(device.deviceInfo);
+      if (Number.isNaN(new Date(device.lastUpdated).getTime())) {
+        throw new Error(`Invalid lastUpdated for device ${device.token}`);
+      }
+    });
+
+    users.forEach((user) => {
+      if (!user || !this.isValidUserId(user.userId)) {
+        throw new Error(`Invalid user ID in snapshot: ${user && user.userId}`);
+      }
+    });
+
+    return { devices, users };
   }
 
   /**
@@ -141,13 +229,35 @@ class DeviceManager {
     }
   }
 
+  /**
+   * 验证设备标签
+   * @private
+   * @param {Array} tags - 标签列表
+   * @throws {Error} 验证失败时抛出错误
+   */
+  _validateTags(tags) {
+    if (!Array.isArray(tags)) {
+      throw new Error("Device tags must be an array");
+    }
+
+    tags.forEach((tag) => {
+      if (!tag || typeof tag !== "string") {
+        throw new Error(`Invalid device tag: ${tag}`);
+      }
+    });
+  }
+
   /**
    * 注册设备
    * @param {string} token - 推送令牌
    * @param {Object} deviceInfo - 设备信息
+   * @param {Array} [tags] - 设备标签，用于按标签推送，未提供时保持不变
+   * @param {Object} [options] - 注册选项
+   * @param {string|null} [options.userId] - 设备所属用户，为 null 时解除绑定，
+   *   未提供时保持不变
    * @returns {Promise<Object>} 注册结果
    */
-  async registerDevice(token, deviceInfo) {
+  async registerDevice(token, deviceInfo, tags, options = {}) {
     if (!this.initialized) {
       throw new Error("Device manager is not initialized");
     }
@@ -155,15 +265,30 @@ class DeviceManager {
     try {
       this._validateToken(token);
       this._validateDeviceInfo(deviceInfo);
+      if (tags !== undefined) {
+        this._validateTags(tags);
+      }
+
+      if (options.userId != null && !this.isValidUserId(options.userId)) {
+        throw new Error(`Invalid user ID: ${options.userId}`);
+      }
 
+      // 重新注册时保留已有的标签和订阅设置
+      const existing = this.devices.get(token);
       const device = {
+        ...existing,
         token,
         deviceInfo,
+        tags: tags !== undefined ? tags : (existing && existing.tags) || [],
         lastUpdated: new Date().toISOString(),
       };
+      if (options.userId !== undefined) {
+        device.userId = options.userId;
+      }
 
-      this.devices.set(token, device);
-      await this._saveDevices();
+      // 设备、新用户和被删除的旧设备在同一个事务中保存
+      const userChanges = device.userId ? this._attachToUser(device) : {};
+      await this._commit({ devices: [device], ...userChanges });
 
       this._log(
         "info",
@@ -176,13 +301,62 @@ class DeviceManager {
     }
   }
 
+  /**
+   * 生成将设备加入用户需要保存的修改
+   * 新用户以该设备的订阅设置作为用户的订阅设置；
+   * 用户设备数超过上限时删除最早更新的设备
+   * @private
+   * @param {Object} device - 设备信息
+   * @returns {Object} 需要保存的修改 { users, removedDevices }
+   */
+  _attachToUser(device) {
+    const { userId } = device;
+    const changes = { users: [], removedDevices: [] };
+
+    if (!this.users.has(userId)) {
+      const now = new Date().toISOString();
+      const subscriptions = {};
+      ["symbols", "topics", "ratePairs"].forEach((field) => {
+        if (device[field] !== undefined) subscriptions[field] = device[field];
+      });
+      const user = {
+        userId,
+        ...subscriptions,
+        createdAt: now,
+        updatedAt: now,
+      };
+      changes.users.push(user);
+      this._log("info", `User created: ${userId}`);
+    }
+
+    const others = this.getUserDevices(userId)
+      .filter((candidate) => candidate.token !== device.token)
+      .sort((a, b) => new Date(a.lastUpdated) - new Date(b.lastUpdated));
+    const evicted = others.slice(
+      0,
+      Math.max(0, others.length - (DEVICE_CONFIG.MAX_DEVICES_PER_USER - 1))
+    );
+
+    evicted.forEach(({ token }) => changes.removedDevices.push(token));
+    if (evicted.length > 0) {
+      this._log(
+        "info",
+        `Evicted ${evicted.length} devices of user ${userId} over the limit of ${DEVICE_CONFIG.MAX_DEVICES_PER_USER}`,
+        changes.removedDevices
+      );
+    }
+
+    return changes;
+  }
+
   /**
    * 更新设备信息
    * @param {string} token - 推送令牌
    * @param {Object} deviceInfo - 设备信息
+   * @param {Array} [tags] - 设备标签，未提供时保持不变
    * @returns {Promise<Object>} 更新结果
    */
-  async updateDevice(token, deviceInfo) {
+  async updateDevice(token, deviceInfo, tags) {
     if (!this.initialized) {
       throw new Error("Device manager is not initialized");
     }
@@ -190,6 +364,9 @@ class DeviceManager {
     try {
       this._validateToken(token);
       this._validateDeviceInfo(deviceInfo);
+      if (tags !== undefined) {
+        this._validateTags(tags);
+      }
 
       if (!this.devices.has(token)) {
         throw new Error("Device not found");
@@ -198,11 +375,11 @@ class DeviceManager {
       const device = {
         ...this.devices.get(token),
         deviceInfo,
+        ...(tags !== undefined && { tags }),
         lastUpdated: new Date().toISOString(),
       };
 
-      this.devices.set(token, device);
-      await this._saveDevices();
+      await this._commit({ devices: [device] });
 
       this._log(
         "info",
@@ -232,8 +409,7 @@ class DeviceManager {
         return false;
       }
 
-      this.devices.delete(token);
-      await this._saveDevices();
+      await this._commit({ removedDevices: [token] });
 
       this._log("info", `Device removed successfully: ${token}`);
       return true;
@@ -268,6 +444,69 @@ class DeviceManager {
     return Array.from(this.devices.values());
   }
 
+  /**
+   * 验证设备信息和标签
+   * @param {Object} deviceInfo - 设备信息
+   * @param {Array} [tags] - 设备标签
+   * @throws {Error} 验证失败时抛出错误
+   */
+  validateDeviceUpdate(deviceInfo, tags) {
+    this._validateDeviceInfo(deviceInfo);
+    if (tags !== undefined) {
+      this._validateTags(tags);
+    }
+  }
+
+  /**
+   * 分页查询设备，按最后更新时间倒序排列
+   * @param {Object} [filters] - 查询条件
+   * @param {string} [filters.platform] - 平台类型
+   * @param {string} [filters.tag] - 设备标签
+   * @param {string} [filters.topic] - 订阅的主题
+   * @param {string} [filters.userId] - 所属用户
+   * @param {boolean} [filters.active] - true 只返回活跃设备，false 只返回过期设备
+   * @param {number} [filters.page] - 页码，从1开始
+   * @param {number} [filters.pageSize] - 每页数量
+   * @returns {Object} { total, page, pageSize, devices }
+   */
+  queryDevices(filters = {}) {
+    if (!this.initialized) {
+      throw new Error("Device manager is not initialized");
+    }
+
+    const { platform, tag, topic, userId, active } = filters;
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const pageSize = Math.min(
+      Math.max(
+        parseInt(filters.pageSize, 10) || DEVICE_CONFIG.DEFAULT_PAGE_SIZE,
+        1
+      ),
+      DEVICE_CONFIG.MAX_PAGE_SIZE
+    );
+    const activeTokens =
+      active === undefined ? null : new Set(this.getActiveTokens());
+
+    const matched = this.getAllDevices()
+      .filter(
+        (device) =>
+          (!platform ||
+            device.deviceInfo.platform.toLowerCase() ===
+              platform.toLowerCase()) &&
+          (!tag || (Array.isArray(device.tags) && device.tags.includes(tag))) &&
+          (!topic || this.getDeviceTopics(device).includes(topic)) &&
+          (!userId || device.userId === userId) &&
+          (activeTokens === null || activeTokens.has(device.token) === active)
+      )
+      .sort((a, b) => new Date(b.lastUpdated) - new Date(a.lastUpdated));
+
+    return {
+      total: matched.length,
+      page,
+      pageSize,
+      devices: matched.slice((page - 1) * pageSize, page * pageSize),
+    };
+  }
+
   /**
    * 获取特定平台的设备
    * @param {string} platform - 平台类型
@@ -282,66 +521,498 @@ class DeviceManager {
       throw new Error(`Unsupported platform: ${platform}`);
     }
 
+    return this._findDevices({ platform: platform.toLowerCase() });
+  }
+
+  /**
+   * 获取带有特定标签的设备
+   * @param {string} tag - 设备标签
+   * @returns {Array} 设备列表
+   */
+  getDevicesByTag(tag) {
+    if (!this.initialized) {
+      throw new Error("Device manager is not initialized");
+    }
+
     return this.getAllDevices().filter(
-      (device) =>
-        device.deviceInfo.platform.toLowerCase() === platform.toLowerCase()
+      (device) => Array.isArray(device.tags) && device.tags.includes(tag)
     );
   }
 
   /**
-   * 获取活跃设备的令牌
-   * @returns {Array} 令牌列表
+   * 获取设备订阅的交易对
+   * @param {Object} device - 设备信息
+   * @returns {Array} 交易对列表
    */
-  getActiveTokens() {
+  getDeviceSymbols(device) {
+    const { symbols } = this._getSubscriber(device);
+    return Array.isArray(symbols) ? symbols : DEVICE_CONFIG.DEFAULT_SYMBOLS;
+  }
+
+  /**
+   * 更新设备订阅的交易对
+   * @param {string} token - 推送令牌
+   * @param {Array} symbols - 交易对列表
+   * @returns {Promise<Object>} 更新后的设备
+   */
+  async updateSymbols(token, symbols) {
     if (!this.initialized) {
       throw new Error("Device manager is not initialized");
     }
 
-    const now = new Date();
-    const expiryTime = new Date(
-      now.getTime() - DEVICE_CONFIG.TOKEN_EXPIRY_DAYS * 24 * 60 * 60 * 1000
+    try {
+      this._validateToken(token);
+
+      if (
+        !Array.isArray(symbols) ||
+        symbols.some((symbol) => !symbol || typeof symbol !== "string")
+      ) {
+        throw new Error("Symbols must be an array of strings");
+      }
+
+      if (!this.devices.has(token)) {
+        throw new Error("Device not found");
+      }
+
+      const device = await this._updateSubscriptions(token, {
+        symbols: [
+          ...new Set(symbols.map((symbol) => symbol.trim().toUpperCase())),
+        ],
+      });
+
+      this._log(
+        "info",
+        `Device symbols updated: ${token}`,
+        this.getDeviceSymbols(device)
+      );
+      return device;
+    } catch (error) {
+      this._handleError("Failed to update device symbols", error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取内置主题
+   * @returns {Array} 主题列表 [{ topic, description }]
+   */
+  getBuiltInTopics() {
+    return Object.entries(DEVICE_CONFIG.BUILT_IN_TOPICS).map(
+      ([topic, description]) => ({ topic, description })
     );
+  }
 
-    return this.getAllDevices()
-      .filter((device) => new Date(device.lastUpdated) > expiryTime)
-      .map((device) => device.token);
+  /**
+   * 获取设备订阅的主题
+   * @param {Object} device - 设备信息
+   * @returns {Array} 主题列表
+   */
+  getDeviceTopics(device) {
+    const { topics } = this._getSubscriber(device);
+    return Array.isArray(topics)
+      ? topics
+      : Object.keys(DEVICE_CONFIG.BUILT_IN_TOPICS);
   }
 
   /**
-   * 清理过期设备
-   * @returns {Promise<number>} 清理的设备数量
+   * 设备是否订阅了主题
+   * @param {string} token - 推送令牌
+   * @param {string} topic - 主题
+   * @returns {boolean} 是否订阅
    */
-  async cleanupExpiredDevices() {
+  isSubscribed(token, topic) {
+    const device = this.devices.get(token);
+    return Boolean(device) && this.getDeviceTopics(device).includes(topic);
+  }
+
+  /**
+   * 订阅主题
+   * @param {string} token - 推送令牌
+   * @param {string} topic - 主题，内置主题或自定义主题
+   * @returns {Promise<Object>} 更新后的设备
+   */
+  async subscribeTopic(token, topic) {
+    return this._updateTopics(token, topic, (topics) =>
+      topics.includes(topic) ? topics : [...topics, topic]
+    );
+  }
+
+  /**
+   * 取消订阅主题
+   * @param {string} token - 推送令牌
+   * @param {string} topic - 主题
+   * @returns {Promise<Object>} 更新后的设备
+   */
+  async unsubscribeTopic(token, topic) {
+    return this._updateTopics(token, topic, (topics) =>
+      topics.filter((item) => item !== topic)
+    );
+  }
+
+  /**
+   * 更新设备订阅的主题
+   * @private
+   * @param {string} token - 推送令牌
+   * @param {string} topic - 主题
+   * @param {Function} update - 根据当前主题列表返回新的主题列表
+   * @returns {Promise<Object>} 更新后的设备
+   */
+  async _updateTopics(token, topic, update) {
     if (!this.initialized) {
       throw new Error("Device manager is not initialized");
     }
 
     try {
-      const now = new Date();
-      const expiryTime = new Date(
-        now.getTime() - DEVICE_CONFIG.TOKEN_EXPIRY_DAYS * 24 * 60 * 60 * 1000
-      );
-      let cleanupCount = 0;
+      this._validateToken(token);
+
+      if (!this.isValidTopic(topic)) {
+        throw new Error(`Invalid topic: ${topic}`);
+      }
+
+      if (!this.devices.has(token)) {
+        throw new Error("Device not found");
+      }
+
+      const current = this.devices.get(token);
+      const topics = update(this.getDeviceTopics(current));
+      if (topics.length > DEVICE_CONFIG.MAX_TOPICS) {
+        throw new Error(
+          `A device can subscribe to at most ${DEVICE_CONFIG.MAX_TOPICS} topics`
+        );
+      }
+
+      const device = await this._updateSubscriptions(token, { topics });
+
+      this._log("info", `Device topics updated: ${token}`, topics);
+      return device;
+    } catch (error) {
+      this._handleError("Failed to update device topics", error);
+      throw error;
+    }
+  }
+
+  /**
+   * 验证主题名称
+   * 主题只能包含小写字母、数字、- 和 _，最长64个字符
+   * @param {string} topic - 主题
+   * @returns {boolean} 是否有效
+   */
+  isValidTopic(topic) {
+    return typeof topic === "string" && DEVICE_CONFIG.TOPIC_PATTERN.test(topic);
+  }
 
-      for (const [token, device] of this.devices.entries()) {
-        if (new Date(device.lastUpdated) <= expiryTime) {
-          this.devices.delete(token);
-          cleanupCount++;
+  /**
+   * 获取设备时区
+   * @param {Object} device - 设备信息
+   * @returns {string} IANA 时区
+   */
+  getDeviceTimezone(device) {
+    return device.timezone || DEVICE_CONFIG.DEFAULT_TIMEZONE;
+  }
+
+  /**
+   * 更新设备的时区和免打扰时段
+   * @param {string} token - 推送令牌
+   * @param {Object} settings - 推送设置
+   * @param {string|null} [settings.timezone] - IANA 时区，为 null 时恢复默认
+   * @param {Object|null} [settings.quietHours] - 免打扰时段 { start, end, mode }，为 null 时关闭
+   * @returns {Promise<Object>} 更新后的设备
+   */
+  async updateDeliverySettings(token, settings) {
+    if (!this.initialized) {
+      throw new Error("Device manager is not initialized");
+    }
+
+    try {
+      this._validateToken(token);
+
+      if (!this.devices.has(token)) {
+        throw new Error("Device not found");
+      }
+
+      const device = { ...this.devices.get(token) };
+
+      if (settings.timezone !== undefined) {
+        if (
+          settings.timezone !== null &&
+          !timeZone.isValidTimeZone(settings.timezone)
+        ) {
+          throw new Error(`Invalid timezone: ${settings.timezone}`);
         }
+        device.timezone = settings.timezone;
       }
 
-      if (cleanupCount > 0) {
-        await this._saveDevices();
-        this._log("info", `Cleaned up ${cleanupCount} expired devices`);
+      if (settings.quietHours !== undefined) {
+        device.quietHours = settings.quietHours
+          ? this.normalizeQuietHours(settings.quietHours)
+          : null;
       }
 
-      return cleanupCount;
+      await this._commit({ devices: [device] });
+
+      this._log("info", `Device delivery settings updated: ${token}`, {
+        timezone: device.timezone,
+        quietHours: device.quietHours,
+      });
+      return device;
+    } catch (error) {
+      this._handleError("Failed to update device delivery settings", error);
+      throw error;
+    }
+  }
+
+  /**
+   * 验证并补全免打扰时段
+   * @param {Object} quietHours - 免打扰时段 { start, end, mode }
+   * @returns {Object} 免打扰时段
+   * @throws {Error} 验证失败时抛出错误
+   */
+  normalizeQuietHours(quietHours) {
+    const {
+      start,
+      end,
+      mode = DEVICE_CONFIG.DEFAULT_QUIET_HOURS_MODE,
+    } = quietHours;
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+    if (!timePattern.test(start) || !timePattern.test(end)) {
+      throw new Error("Quiet hours start and end must be in HH:MM format");
+    }
+
+    if (start === end) {
+      throw new Error("Quiet hours start and end must be different");
+    }
+
+    if (!DEVICE_CONFIG.QUIET_HOURS_MODES.includes(mode)) {
+      throw new Error(`Invalid quiet hours mode: ${mode}`);
+    }
+
+    return { start, end, mode };
+  }
+
+  /**
+   * 获取设备选择的汇率货币对
+   * @param {Object} device - 设备信息
+   * @returns {Array|null} 货币对列表，未选择时返回 null
+   */
+  getDeviceRatePairs(device) {
+    const { ratePairs } = this._getSubscriber(device);
+    return Array.isArray(ratePairs) && ratePairs.length > 0 ? ratePairs : null;
+  }
+
+  /**
+   * 获取保存设备订阅设置的对象
+   * 属于用户的设备返回用户，否则返回设备本身
+   * @private
+   * @param {Object} device - 设备信息
+   * @returns {Object} 用户或设备
+   */
+  _getSubscriber(device) {
+    return (device.userId && this.users.get(device.userId)) || device;
+  }
+
+  /**
+   * 更新设备的订阅设置
+   * 属于用户的设备更新用户的订阅设置，同一用户的所有设备同时生效
+   * @private
+   * @param {string} token - 推送令牌
+   * @param {Object} changes - 要修改的订阅设置
+   * @returns {Promise<Object>} 更新后的设备
+   */
+  async _updateSubscriptions(token, changes) {
+    const device = this.devices.get(token);
+
+    if (device.userId && this.users.has(device.userId)) {
+      const user = {
+        ...this.users.get(device.userId),
+        ...changes,
+        updatedAt: new Date().toISOString(),
+      };
+      await this._commit({ users: [user] });
+      return device;
+    }
+
+    const updated = { ...device, ...changes };
+    await this._commit({ devices: [updated] });
+    return updated;
+  }
+
+  /**
+   * 是否为有效的用户 ID
+   * @param {string} userId - 用户 ID
+   * @returns {boolean} 是否有效
+   */
+  isValidUserId(userId) {
+    return (
+      typeof userId === "string" && DEVICE_CONFIG.USER_ID_PATTERN.test(userId)
+    );
+  }
+
+  /**
+   * 获取用户信息
+   * @param {string} userId - 用户 ID
+   * @returns {Object|null} 用户信息，包含订阅设置
+   */
+  getUser(userId) {
+    if (!this.initialized) {
+      throw new Error("Device manager is not initialized");
+    }
+
+    return this.users.get(userId) || null;
+  }
+
+  /**
+   * 获取用户的所有设备
+   * @param {string} userId - 用户 ID
+   * @returns {Array} 设备列表
+   */
+  getUserDevices(userId) {
+    if (!this.initialized) {
+      throw new Error("Device manager is not initialized");
+    }
+
+    return this._findDevices({ userId });
+  }
+
+  /**
+   * 获取记录（如预警规则）的接收设备
+   * 属于用户的记录发送到用户的所有设备，否则只发送到创建记录的设备
+   * @param {Object} record - 带有 token 和 userId 的记录
+   * @returns {Array} 令牌列表
+   */
+  getRecipientTokens(record) {
+    if (record.userId) {
+      return this.getUserDevices(record.userId).map((device) => device.token);
+    }
+    return this.devices.has(record.token) ? [record.token] : [];
+  }
+
+  /**
+   * 设备是否可以访问记录
+   * 记录由该设备创建，或设备与记录属于同一用户
+   * @param {string} token - 推送令牌
+   * @param {Object} record - 带有 token 和 userId 的记录
+   * @returns {boolean} 是否可以访问
+   */
+  canAccess(token, record) {
+    if (record.token === token) return true;
+
+    const device = this.devices.get(token);
+    return Boolean(device && device.userId && device.userId === record.userId);
+  }
+
+  /**
+   * 更新设备推送的汇率货币对
+   * @param {string} token - 推送令牌
+   * @param {Array|null} pairs - 货币对列表，如 ["JPY/CNY"]，为 null 时恢复默认
+   * @returns {Promise<Object>} 更新后的设备
+   */
+  async updateRatePairs(token, pairs) {
+    if (!this.initialized) {
+      throw new Error("Device manager is not initialized");
+    }
+
+    try {
+      this._validateToken(token);
+
+      if (
+        pairs !== null &&
+        (!Array.isArray(pairs) ||
+          pairs.some((pair) => !pair || typeof pair !== "string"))
+      ) {
+        throw new Error("Rate pairs must be an array of strings");
+      }
+
+      if (!this.devices.has(token)) {
+        throw new Error("Device not found");
+      }
+
+      const ratePairs = pairs
+        ? [...new Set(pairs.map((pair) => pair.toUpperCase()))]
+        : null;
+      const device = await this._updateSubscriptions(token, { ratePairs });
+
+      this._log("info", `Device rate pairs updated: ${token}`, ratePairs);
+      return device;
+    } catch (error) {
+      this._handleError("Failed to update device rate pairs", error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取活跃设备
+   * @returns {Array} 设备列表
+   */
+  getActiveDevices() {
+    if (!this.initialized) {
+      throw new Error("Device manager is not initialized");
+    }
+
+    return this._findDevices({ updatedAfter: this._getExpiryTime() });
+  }
+
+  /**
+   * 获取活跃设备的令牌
+   * @returns {Array} 令牌列表
+   */
+  getActiveTokens() {
+    return this.getActiveDevices().map((device) => device.token);
+  }
+
+  /**
+   * 清理过期设备
+   * @returns {Promise<number>} 清理的设备数量
+   */
+  async cleanupExpiredDevices() {
+    if (!this.initialized) {
+      throw new Error("Device manager is not initialized");
+    }
+
+    try {
+      const removedDevices = this.store.findTokens({
+        updatedBefore: this._getExpiryTime(),
+      });
+
+      if (removedDevices.length > 0) {
+        await this._commit({ removedDevices });
+        this._log(
+          "info",
+          `Cleaned up ${removedDevices.length} expired devices`
+        );
+      }
+
+      return removedDevices.length;
     } catch (error) {
       this._handleError("Failed to cleanup expired devices", error);
       throw error;
     }
   }
 
+  /**
+   * 通过存储的索引查询设备，返回内存中的设备信息
+   * @private
+   * @param {Object} filters - 查询条件，见存储的 findTokens
+   * @returns {Array} 设备列表
+   */
+  _findDevices(filters) {
+    return this.store
+      .findTokens(filters)
+      .map((token) => this.devices.get(token))
+      .filter(Boolean);
+  }
+
+  /**
+   * 获取设备过期的时间点，最后更新时间不晚于该时间的设备视为过期
+   * @private
+   * @returns {string} ISO 格式的时间
+   */
+  _getExpiryTime() {
+    return new Date(
+      Date.now() - DEVICE_CONFIG.TOKEN_EXPIRY_DAYS * 24 * 60 * 60 * 1000
+    ).toISOString();
+  }
+
   /**
    * 统一日志输出
    * @private
@@ -396,5 +1067,3 @@ class DeviceManager {
 
 // 导出单例
 module.exports = new DeviceManager();
-
-module.exports = new DeviceManager();
@@ -1,15 +1,31 @@
-const axios = require("axios");
+const marketHistory = require("./marketHistory");
+const providerRegistry = require("../providers/providerRegistry");
 
 // 汇率服务配置
 const EXCHANGE_RATE_CONFIG = {
-  // API配置
-  API_URL: "https://api.exchangerate-api.com/v4/latest/USD",
-  TIMEOUT: 10000,
-  RETRY_COUNT: 3,
-  RETRY_DELAY: 1000,
+  // 货币对配置
+  DEFAULT_PAIRS: ["JPY/CNY"], // 默认推送的货币对（基础货币/计价货币）
+  MAX_PAIRS: 10,
+  CURRENCY_NAMES: {
+    CNY: "人民币",
+    JPY: "日元",
+    USD: "美元",
+    EUR: "欧元",
+    GBP: "英镑",
+    HKD: "港币",
+    KRW: "韩元",
+    TWD: "新台币",
+    SGD: "新加坡元",
+    AUD: "澳元",
+    CAD: "加元",
+  },
 
-  // 目标货币
-  TARGET_CURRENCIES: ["CNY", "JPY"],
+  // 保存汇率历史的货币，未配置时使用 CURRENCY_NAMES 中的货币，默认货币对的货币始终保存
+  HISTORY_CURRENCIES: process.env.RATE_HISTORY_CURRENCIES
+    ? process.env.RATE_HISTORY_CURRENCIES.split(",")
+        .map((currency) => currency.trim().toUpperCase())
+        .filter(Boolean)
+    : null,
 
   // 缓存配置
   CACHE_DURATION: 30 * 60 * 1000, // 30分钟缓存
@@ -26,52 +42,48 @@ class ExchangeRateService {
     this.cache = {
       rates: null,
       timestamp: null,
+      source: null,
+      updatedAt: null,
     };
   }
 
   /**
    * 获取最新汇率
-   * @returns {Promise<Object>} 汇率数据
+   * timestamp 为获取时间，updatedAt 为数据源的更新时间，source 为提供数据的数据源
+   * @returns {Promise<Object>} 汇率数据 { success, rates, timestamp, source, updatedAt }
    */
   async getExchangeRates() {
     try {
       // 检查缓存是否有效
       if (this._isCacheValid()) {
         this._log("debug", "Using cached exchange rates");
-        return {
-          success: true,
-          rates: this.cache.rates,
-          timestamp: this.cache.timestamp,
-        };
+        return { success: true, ...this.cache };
       }
 
-      // 获取新数据
-      const response = await this._fetchWithRetry();
-      const rates = {};
-
-      // 保存CNY和JPY汇率
-      if (response.data.rates.CNY && response.data.rates.JPY) {
-        rates.CNY = response.data.rates.CNY;
-        rates.JPY = response.data.rates.JPY;
-        // 计算JPY/CNY汇率
-        rates.JPY_CNY = this._calculateCrossRate(
-          response.data.rates.CNY,
-          response.data.rates.JPY
-        );
+      // 获取新数据，保存所有货币相对USD的汇率，交叉汇率按需计算
+      const result = await providerRegistry.getRates();
+      if (!result.success) {
+        throw new Error(result.error);
       }
 
       // 更新缓存
       this.cache = {
-        rates,
+        rates: result.rates,
         timestamp: new Date().toISOString(),
+        source: result.source,
+        updatedAt: result.timestamp,
       };
+      marketHistory.recordRates(
+        this._pickHistoryRates(result.rates),
+        this.cache.timestamp,
+        result.source
+      );
 
-      this._log("info", "Exchange rates updated successfully", rates);
-      return {
-        success: true,
-        rates,
-        timestamp: this.cache.timestamp,
-      };
+      this._log("info", "Exchange rates updated successfully", {
+        source: result.source,
+        currencies: Object.keys(result.rates).length,
+      });
+      return { success: true, ...this.cache };
     } catch (error) {
       this._handleError("Failed to get exchange rates", error);
       return {
@@ -81,40 +93,203 @@ class ExchangeRateService {
     }
   }
 
+  /**
+   * 获取当前汇率快照
+   * 刷新失败时返回上一次缓存的汇率，并标记为过期
+   * @returns {Promise<Object>} { success, rates, timestamp, source, updatedAt, stale }
+   */
+  async getRatesSnapshot() {
+    const result = await this.getExchangeRates();
+    if (!result.success && !this.cache.rates) {
+      return result;
+    }
+
+    return { success: true, ...this.cache, stale: !this._isCacheValid() };
+  }
+
   /**
    * 计算交叉汇率
-   * @private
-   * @param {number} cnyRate - CNY/USD汇率
-   * @param {number} jpyRate - JPY/USD汇率
-   * @returns {number} JPY/CNY汇率
+   * 所有汇率都以USD为基础：BASE/QUOTE = (QUOTE/USD) / (BASE/USD)
+   * @param {Object} rates - 相对USD的汇率数据
+   * @param {string} base - 基础货币，如 JPY
+   * @param {string} quote - 计价货币，如 CNY
+   * @returns {number|null} 1单位基础货币可兑换的计价货币数量
    */
-  _calculateCrossRate(cnyRate, jpyRate) {
-    // JPY/CNY = (CNY/USD) / (JPY/USD)
-    return cnyRate / jpyRate;
+  getCrossRate(rates, base, quote) {
+    if (!rates[base] || !rates[quote]) {
+      return null;
+    }
+    return rates[quote] / rates[base];
+  }
+
+  /**
+   * 解析货币对
+   * @param {string} pair - 货币对，如 JPY/CNY
+   * @returns {Object|null} { base, quote }，格式无效时返回 null
+   */
+  parsePair(pair) {
+    const match = /^([A-Z]{3})\/([A-Z]{3})$/.exec(
+      String(pair || "").toUpperCase()
+    );
+    return match ? { base: match[1], quote: match[2] } : null;
+  }
+
+  /**
+   * 验证货币对列表
+   * @param {Array} pairs - 货币对列表
+   * @param {Object} rates - 相对USD的汇率数据
+   * @throws {Error} 验证失败时抛出错误
+   */
+  validatePairs(pairs, rates) {
+    if (!Array.isArray(pairs) || pairs.length === 0) {
+      throw new Error("Currency pairs must be a non-empty array");
+    }
+
+    if (pairs.length > EXCHANGE_RATE_CONFIG.MAX_PAIRS) {
+      throw new Error(
+        `At most ${EXCHANGE_RATE_CONFIG.MAX_PAIRS} currency pairs are allowed`
+      );
+    }
+
+    pairs.forEach((pair) => {
+      const parsed = this.parsePair(pair);
+      if (!parsed) {
+        throw new Error(`Invalid currency pair: ${pair}`);
+      }
+      if (!rates[parsed.base] || !rates[parsed.quote]) {
+        throw new Error(`Unsupported currency pair: ${pair}`);
+      }
+    });
+  }
+
+  /**
+   * 获取默认推送的货币对
+   * @returns {Array} 货币对列表
+   */
+  getDefaultPairs() {
+    return [...EXCHANGE_RATE_CONFIG.DEFAULT_PAIRS];
+  }
+
+  /**
+   * 货币对是否保存了汇率历史
+   * @param {string} pair - 货币对，如 JPY/CNY
+   * @returns {boolean} 基础货币和计价货币是否都保存了汇率历史
+   */
+  hasRateHistory(pair) {
+    const parsed = this.parsePair(pair);
+    const currencies = this._getHistoryCurrencies();
+    return Boolean(
+      parsed && currencies.has(parsed.base) && currencies.has(parsed.quote)
+    );
   }
 
   /**
    * 格式化汇率消息
    * @param {Object} rates - 汇率数据
+   * @param {Array} [pairs] - 货币对列表，默认为 JPY/CNY
    * @returns {string} 格式化后的消息
    */
-  formatRateMessage(rates) {
-    if (!rates.JPY_CNY) {
-      return "暂无日元兑人民币汇率数据";
+  formatRateMessage(rates, pairs = EXCHANGE_RATE_CONFIG.DEFAULT_PAIRS) {
+    const lines = [];
+
+    pairs.forEach((pair) => {
+      const parsed = this.parsePair(pair);
+      const rate =
+        parsed && this.getCrossRate(rates, parsed.base, parsed.quote);
+      if (rate) {
+        lines.push(this._formatRate(parsed.base, parsed.quote, rate));
+      }
+    });
+
+    if (lines.length === 0) {
+      return "暂无汇率数据";
     }
 
-    const rate = this._formatRate(rates.JPY_CNY);
-    return `当前日元兑人民币汇率：\n100 JPY = ${(rate * 100).toFixed(4)} CNY`;
+    // 单个货币对沿用“日元兑人民币”的标题格式
+    if (pairs.length === 1) {
+      return `当前${this.getPairName(pairs[0])}汇率：\n${lines[0]}`;
+    }
+
+    return `当前汇率：\n${lines.join("\n")}`;
+  }
+
+  /**
+   * 格式化货币对的汇率
+   * @param {string} pair - 货币对，如 JPY/CNY
+   * @param {number} rate - 汇率值
+   * @returns {string} 格式化后的汇率，如 100 JPY = 4.7000 CNY
+   */
+  formatPairRate(pair, rate) {
+    const { base, quote } = this.parsePair(pair);
+    return this._formatRate(base, quote, rate);
+  }
+
+  /**
+   * 获取货币对的中文名称
+   * @param {string} pair - 货币对，如 JPY/CNY
+   * @returns {string} 货币对名称，如 日元兑人民币
+   */
+  getPairName(pair) {
+    const { base, quote } = this.parsePair(pair);
+    return `${this._getCurrencyName(base)}兑${this._getCurrencyName(quote)}`;
   }
 
   /**
    * 格式化单个汇率
+   * 汇率较小的货币（如日元、韩元）按100单位显示
    * @private
+   * @param {string} base - 基础货币
+   * @param {string} quote - 计价货币
    * @param {number} rate - 汇率值
-   * @returns {string} 格式化后的汇率
+   * @returns {string} 格式化后的汇率，如 100 JPY = 4.7000 CNY
+   */
+  _formatRate(base, quote, rate) {
+    const unit = rate < 0.1 ? 100 : 1;
+    return `${unit} ${base} = ${(rate * unit).toFixed(4)} ${quote}`;
+  }
+
+  /**
+   * 获取货币中文名称
+   * @private
+   * @param {string} currency - 货币代码
+   * @returns {string} 货币名称，未配置时返回货币代码
+   */
+  _getCurrencyName(currency) {
+    return EXCHANGE_RATE_CONFIG.CURRENCY_NAMES[currency] || currency;
+  }
+
+  /**
+   * 获取保存汇率历史的货币
+   * @private
+   * @returns {Set} 货币代码
    */
-  _formatRate(rate) {
-    return rate;
+  _getHistoryCurrencies() {
+    const currencies = new Set(
+      EXCHANGE_RATE_CONFIG.HISTORY_CURRENCIES ||
+        Object.keys(EXCHANGE_RATE_CONFIG.CURRENCY_NAMES)
+    );
+    EXCHANGE_RATE_CONFIG.DEFAULT_PAIRS.forEach((pair) => {
+      const { base, quote } = this.parsePair(pair);
+      currencies.add(base);
+      currencies.add(quote);
+    });
+    return currencies;
+  }
+
+  /**
+   * 只保留需要保存历史的货币的汇率，避免每次记录数据源返回的全部货币
+   * @private
+   * @param {Object} rates - 相对USD的汇率数据
+   * @returns {Object} 保存历史的货币的汇率
+   */
+  _pickHistoryRates(rates) {
+    const picked = {};
+    this._getHistoryCurrencies().forEach((currency) => {
+      if (rates[currency]) {
+        picked[currency] = rates[currency];
+      }
+    });
+    return picked;
   }
 
   /**
@@ -132,31 +307,6 @@ class ExchangeRateService {
     return now - cacheTime < EXCHANGE_RATE_CONFIG.CACHE_DURATION;
   }
 
-  /**
-   * 带重试的数据获取
-   * @private
-   * @returns {Promise<Object>} API响应
-   */
-  async _fetchWithRetry() {
-    let lastError;
-
-    for (let i = 0; i < EXCHANGE_RATE_CONFIG.RETRY_COUNT; i++) {
-      try {
-        return await axios.get(EXCHANGE_RATE_CONFIG.API_URL, {
-          timeout: EXCHANGE_RATE_CONFIG.TIMEOUT,
-        });
-      } catch (error) {
-        lastError = error;
-        this._log("warn", `Fetch attempt ${i + 1} failed, retrying...`);
-        await new Promise((resolve) =>
-          setTimeout(resolve, EXCHANGE_RATE_CONFIG.RETRY_DELAY)
-        );
-      }
-    }
-
-    throw lastError;
-  }
-
   /**
    * 日志输出
    * @private
@@ -1,16 +1,32 @@
 const scheduledNotifications = require("./scheduledNotifications");
 const exchangeRateService = require("./exchangeRateService");
 const deviceManager = require("./deviceManager");
+const rateAlerts = require("./rateAlerts");
+const notificationQueue = require("./notificationQueue");
 const expoPushNotifications = require("../utils/expoPushNotifications");
 
 // 汇率更新服务配置
 const UPDATER_CONFIG = {
   // 任务配置
   JOB_NAME: "exchange-rate-update",
+  TEMPLATE_NAME: "exchange-rate",
+  TOPIC: "exchange-rate",
+  ALERT_RULE_TOPIC: "rate-alert",
   CRON_EXPRESSION: "0 */30 * * * *", // 每半小时（每个小时的0分和30分）
 
+  // 推送模式：broadcast 按 CRON_EXPRESSION 定时推送，alert 只在汇率变动超过阈值时提醒
+  MODE: process.env.EXCHANGE_RATE_MODE === "alert" ? "alert" : "broadcast",
+
+  // 预警配置
+  ALERT_JOB_NAME: "exchange-rate-alert",
+  ALERT_CHECK_INTERVAL: 10 * 60 * 1000, // 每10分钟检查一次
+  ALERT_THRESHOLD_PERCENT:
+    parseFloat(process.env.EXCHANGE_RATE_ALERT_THRESHOLD) || 0.5,
+  ALERT_COOLDOWN_MINUTES: 60,
+
   // 消息配置
   NOTIFICATION_TITLE: "日元汇率更新",
+  ALERT_TITLE: "汇率提醒",
 
   // 调试选项
   DEBUG: process.env.NODE_ENV === "development",
@@ -22,6 +38,20 @@ const UPDATER_CONFIG = {
 class ExchangeRateUpdater {
   constructor() {
     this.job = null;
+    this.alertTimer = null;
+
+    // 注册汇率消息模板，每次推送时获取最新汇率
+    // 任务参数未指定货币对时，按设备选择的货币对分组生成内容
+    scheduledNotifications.registerTemplate(
+      UPDATER_CONFIG.TEMPLATE_NAME,
+      (params, device) =>
+        this._getLatestRateContent(this._resolvePairs(params, device)),
+      {
+        groupBy: (device, params) =>
+          this._resolvePairs(params, device).join(","),
+      }
+    );
+
     this._log("info", "Exchange rate updater service initialized");
   }
 
@@ -33,26 +63,28 @@ class ExchangeRateUpdater {
       // 确保服务可用
       await this._validateServices();
 
-      // 获取所有活跃设备的推送令牌
-      const tokens = await deviceManager.getActiveTokens();
-      if (tokens.length === 0) {
-        this._log("warn", "No active devices found for notifications");
-        return;
+      // 定时推送模式下创建定时任务，每次触发时推送给当时订阅了汇率主题的设备
+      if (UPDATER_CONFIG.MODE === "broadcast") {
+        this.job = scheduledNotifications.scheduleCustom(
+          UPDATER_CONFIG.JOB_NAME,
+          UPDATER_CONFIG.CRON_EXPRESSION,
+          { type: "topic", topic: UPDATER_CONFIG.TOPIC },
+          UPDATER_CONFIG.NOTIFICATION_TITLE,
+          { template: UPDATER_CONFIG.TEMPLATE_NAME },
+          { type: "exchange_rate" },
+          { persist: false }
+        );
       }
 
-      // 创建定时任务
-      this.job = scheduledNotifications.scheduleCustom(
-        UPDATER_CONFIG.JOB_NAME,
-        UPDATER_CONFIG.CRON_EXPRESSION,
-        tokens,
-        UPDATER_CONFIG.NOTIFICATION_TITLE,
-        await this._getLatestRateMessage(),
-        { type: "exchange_rate" }
-      );
+      // 启动汇率预警检查（每10分钟检查一次）
+      this.alertTimer = setInterval(async () => {
+        await this._checkRateAlerts();
+      }, UPDATER_CONFIG.ALERT_CHECK_INTERVAL);
 
       this._log("info", "Exchange rate update service started", {
-        tokens: tokens.length,
+        mode: UPDATER_CONFIG.MODE,
         interval: UPDATER_CONFIG.CRON_EXPRESSION,
+        alertThreshold: `${UPDATER_CONFIG.ALERT_THRESHOLD_PERCENT}%`,
       });
     } catch (error) {
       this._handleError("Failed to start exchange rate update service", error);
@@ -61,45 +93,222 @@ class ExchangeRateUpdater {
   }
 
   /**
-   * 获取最新汇率消息
+   * 检查汇率预警
+   * 所有模式下都检查设备自定义的预警规则，提醒模式下还检查各货币对的变动幅度
    * @private
-   * @returns {Promise<string>} 格式化的汇率消息
    */
-  async _getLatestRateMessage() {
+  async _checkRateAlerts() {
     try {
       const result = await exchangeRateService.getExchangeRates();
-      if (!result.success) {
-        return "无法获取最新汇率数据";
+      if (!result.success) return;
+
+      await this._checkRuleAlerts(result.rates);
+
+      if (UPDATER_CONFIG.MODE === "alert") {
+        await this._checkPairChanges(result.rates);
       }
-      return exchangeRateService.formatRateMessage(result.rates);
     } catch (error) {
-      this._handleError("Failed to get latest rate message", error);
-      return "汇率数据更新失败";
+      this._handleError("Failed to check rate alerts", error);
     }
   }
 
   /**
-   * 发送汇率更新通知
+   * 检查设备自定义的汇率预警规则
    * @private
-   * @param {Array} tokens - 推送令牌列表
+   * @param {Object} rates - 相对USD的汇率数据
    */
-  async _sendRateUpdateNotification(tokens) {
-    try {
-      const message = await this._getLatestRateMessage();
-      const notifications = tokens.map((token) =>
-        expoPushNotifications.createMessage(
-          token,
-          UPDATER_CONFIG.NOTIFICATION_TITLE,
-          message,
-          { type: "exchange_rate" }
+  async _checkRuleAlerts(rates) {
+    for (const pair of rateAlerts.getRulePairs()) {
+      const rate = this._getPairRate(rates, pair);
+      if (!rate) continue;
+
+      // 属于用户的规则提醒用户的所有设备，取消订阅汇率预警主题的设备不发送提醒
+      const triggered = rateAlerts
+        .evaluate(pair, rate)
+        .map((match) => ({
+          ...match,
+          tokens: deviceManager
+            .getRecipientTokens(match.rule)
+            .filter((token) =>
+              deviceManager.isSubscribed(token, UPDATER_CONFIG.ALERT_RULE_TOPIC)
+            ),
+        }))
+        .filter(({ tokens }) => tokens.length > 0);
+      if (triggered.length === 0) continue;
+
+      const notifications = triggered
+        .flatMap(({ rule, detail, tokens }) =>
+          tokens.map((token) =>
+            expoPushNotifications.createMessage(
+              token,
+              UPDATER_CONFIG.ALERT_TITLE,
+              this._formatAlertMessage(pair, rate, detail),
+              {
+                type: "exchange_rate_alert",
+                pair,
+                rate,
+                ruleId: rule.id,
+                ruleType: rule.type,
+              }
+            )
+          )
         )
+        .filter(Boolean);
+
+      notificationQueue.enqueue(notifications, {
+        job: UPDATER_CONFIG.ALERT_JOB_NAME,
+      });
+      rateAlerts.markTriggered(
+        triggered.map(({ rule }) => rule.id),
+        rate
+      );
+      this._log("info", `Rate alert notifications sent for ${pair}`, {
+        rate,
+        rules: triggered.length,
+      });
+    }
+  }
+
+  /**
+   * 检查各货币对相对上一次提醒时的变动幅度
+   * 变动超过阈值时提醒订阅了汇率主题并选择了该货币对的设备
+   * @private
+   * @param {Object} rates - 相对USD的汇率数据
+   */
+  async _checkPairChanges(rates) {
+    const tokensByPair = new Map();
+    deviceManager
+      .getActiveDevices()
+      .filter((device) =>
+        deviceManager.getDeviceTopics(device).includes(UPDATER_CONFIG.TOPIC)
+      )
+      .forEach((device) => {
+        this._resolvePairs({}, device).forEach((pair) => {
+          if (!tokensByPair.has(pair)) {
+            tokensByPair.set(pair, []);
+          }
+          tokensByPair.get(pair).push(device.token);
+        });
+      });
+
+    for (const [pair, tokens] of tokensByPair.entries()) {
+      const rate = this._getPairRate(rates, pair);
+      if (!rate) continue;
+
+      const detail = rateAlerts.checkPairChange(
+        pair,
+        rate,
+        UPDATER_CONFIG.ALERT_THRESHOLD_PERCENT,
+        UPDATER_CONFIG.ALERT_COOLDOWN_MINUTES
       );
+      if (!detail) continue;
 
-      await expoPushNotifications.sendNotifications(notifications);
-      this._log("info", "Rate update notification sent successfully");
-    } catch (error) {
-      this._handleError("Failed to send rate update notification", error);
+      const body = this._formatAlertMessage(pair, rate, detail);
+      const notifications = tokens
+        .map((token) =>
+          expoPushNotifications.createMessage(
+            token,
+            UPDATER_CONFIG.ALERT_TITLE,
+            body,
+            { type: "exchange_rate_alert", pair, rate }
+          )
+        )
+        .filter(Boolean);
+
+      notificationQueue.enqueue(notifications, {
+        job: UPDATER_CONFIG.ALERT_JOB_NAME,
+      });
+      rateAlerts.markPairNotified(pair, rate);
+      this._log("info", `Rate change notifications sent for ${pair}`, {
+        rate,
+        change: `${detail.change.toFixed(2)}%`,
+        devices: tokens.length,
+      });
+    }
+  }
+
+  /**
+   * 计算货币对的汇率
+   * @private
+   * @param {Object} rates - 相对USD的汇率数据
+   * @param {string} pair - 货币对
+   * @returns {number|null} 汇率
+   */
+  _getPairRate(rates, pair) {
+    const parsed = exchangeRateService.parsePair(pair);
+    return parsed
+      ? exchangeRateService.getCrossRate(rates, parsed.base, parsed.quote)
+      : null;
+  }
+
+  /**
+   * 格式化汇率预警消息
+   * @private
+   * @param {string} pair - 货币对
+   * @param {number} rate - 当前汇率
+   * @param {Object} detail - 触发说明
+   * @returns {string} 预警消息
+   */
+  _formatAlertMessage(pair, rate, detail) {
+    const pairName = exchangeRateService.getPairName(pair);
+    const currentRate = `当前汇率: ${exchangeRateService.formatPairRate(
+      pair,
+      rate
+    )}`;
+
+    if (detail.target) {
+      const isUp = detail.direction === "up";
+      return `${
+        isUp ? "🟢 ⬆️" : "🔴 ⬇️"
+      } ${pairName}汇率到达目标！\n${currentRate}\n已${
+        isUp ? "升破" : "跌破"
+      }目标汇率 ${exchangeRateService.formatPairRate(pair, detail.target)}`;
+    }
+
+    const isPositive = detail.change >= 0;
+    return `${
+      isPositive ? "🟢 ⬆️" : "🔴 ⬇️"
+    } ${pairName}汇率变动！\n${currentRate}\n较上次提醒${
+      isPositive ? "上涨" : "下跌"
+    } ${Math.abs(detail.change).toFixed(2)}%`;
+  }
+
+  /**
+   * 确定推送的货币对
+   * 优先使用任务指定的货币对，其次是设备选择的货币对，最后是默认货币对
+   * @private
+   * @param {Object} params - 模板参数
+   * @param {Object|null} device - 接收设备
+   * @returns {Array} 货币对列表
+   */
+  _resolvePairs(params, device) {
+    if (Array.isArray(params.pairs) && params.pairs.length > 0) {
+      return params.pairs;
+    }
+    const devicePairs = device && deviceManager.getDeviceRatePairs(device);
+    if (devicePairs) {
+      return devicePairs;
+    }
+    return exchangeRateService.getDefaultPairs();
+  }
+
+  /**
+   * 获取最新汇率消息内容
+   * 获取汇率失败时抛出错误，本次推送记为失败且不发送消息
+   * @private
+   * @param {Array} pairs - 货币对列表
+   * @returns {Promise<Object>} 消息内容 { body, data }
+   * @throws {Error} 获取汇率失败时抛出错误
+   */
+  async _getLatestRateContent(pairs) {
+    const result = await exchangeRateService.getExchangeRates();
+    if (!result.success) {
+      throw new Error(result.error || "Failed to fetch exchange rates");
     }
+    return {
+      body: exchangeRateService.formatRateMessage(result.rates, pairs),
+      data: { timestamp: result.timestamp, source: result.source, pairs },
+    };
   }
 
   /**
@@ -110,23 +319,20 @@ class ExchangeRateUpdater {
       if (this.job) {
         scheduledNotifications.cancelJob(UPDATER_CONFIG.JOB_NAME);
         this.job = null;
-        this._log("info", "Exchange rate update service stopped");
       }
+
+      if (this.alertTimer) {
+        clearInterval(this.alertTimer);
+        this.alertTimer = null;
+      }
+
+      this._log("info", "Exchange rate update service stopped");
     } catch (error) {
       this._handleError("Failed to stop exchange rate update service", error);
       throw error;
     }
   }
 
-  /**
-   * 重启汇率更新服务
-   */
-  async restart() {
-    this._log("info", "Restarting exchange rate update service");
-    this.stop();
-    await this.start();
-  }
-
   /**
    * 验证所需服务是否可用
    * @private
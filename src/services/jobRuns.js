@@ -0,0 +1,342 @@
+const crypto = require("crypto");
+const expoPushNotifications = require("../utils/expoPushNotifications");
+const notificationQueue = require("./notificationQueue");
+const jsonStorage = require("../utils/jsonStorage");
+
+// 任务执行记录配置
+const JOB_RUNS_CONFIG = {
+  // 存储配置
+  RUNS_FILE: "job-runs.json",
+  MAX_RUNS_PER_JOB: 100,
+  RETIRED_RUN_RETENTION: 7 * 24 * 60 * 60 * 1000, // 已删除任务的执行记录保留7天
+
+  // 调试选项
+  DEBUG: process.env.NODE_ENV === "development",
+};
+
+/**
+ * 定时任务执行记录服务类
+ * 记录每次执行的开始和结束时间、加入发送队列的消息数量、发送凭证结果和错误
+ *
+ * 执行状态：
+ * - running: 正在生成消息
+ * - sending: 消息已加入发送队列，等待发送结果
+ * - ok: 所有消息都已成功提交到 Expo
+ * - partial: 部分消息发送失败
+ * - failed: 执行出错，或所有消息都发送失败
+ *
+ * 消息发送时通过发送上下文中的 runId 关联到执行记录
+ *
+ * 执行后自动删除的一次性任务的执行记录标记 retiredAt，保留一段时间后清理
+ */
+class JobRuns {
+  constructor() {
+    this.runs = [];
+    this.runIndex = new Map();
+    this.loaded = false;
+
+    expoPushNotifications.on("tickets", (entries, context) =>
+      this._recordResults(
+        context,
+        entries.filter(({ ticket }) => ticket.status === "ok").length,
+        entries.filter(({ ticket }) => ticket.status !== "ok").length
+      )
+    );
+    expoPushNotifications.on("failed", (messages, error, context) =>
+      this._recordResults(context, 0, messages.length)
+    );
+    notificationQueue.on("dead-letter", (messages, error, context) =>
+      this._recordResults(context, 0, messages.length)
+    );
+
+    this._log("info", "Job runs service initialized");
+  }
+
+  /**
+   * 加载执行记录
+   */
+  async load() {
+    try {
+      const stored = await jsonStorage.read(JOB_RUNS_CONFIG.RUNS_FILE, []);
+
+      // 合并加载期间产生的新记录
+      this.runs = [...stored, ...this.runs];
+      this.runIndex = new Map(this.runs.map((run) => [run.id, run]));
+      this.loaded = true;
+      this._pruneRetiredRuns();
+
+      this._log("info", `Loaded ${stored.length} job runs`);
+    } catch (error) {
+      this._handleError("Failed to load job runs", error);
+      throw error;
+    }
+  }
+
+  /**
+   * 开始记录一次执行
+   * @param {string} job - 任务名称
+   * @param {string} trigger - 触发方式（schedule 或 manual）
+   * @returns {Object} 执行记录
+   */
+  startRun(job, trigger) {
+    const run = {
+      id: crypto.randomUUID(),
+      job,
+      trigger,
+      status: "running",
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      recipients: 0,
+      tickets: { ok: 0, failed: 0 },
+      error: null,
+    };
+
+    this.runs.push(run);
+    this.runIndex.set(run.id, run);
+    this._trimRuns(job);
+    this._pruneRetiredRuns();
+    return run;
+  }
+
+  /**
+   * 结束执行
+   * @param {string} runId - 执行记录 ID
+   * @param {Object} result - 执行结果
+   * @param {number} [result.recipients] - 加入发送队列的消息数量
+   * @param {Error} [result.error] - 执行出错时的错误对象
+   */
+  finishRun(runId, { recipients = 0, error = null }) {
+    const run = this.runIndex.get(runId);
+    if (!run) return;
+
+    run.finishedAt = new Date().toISOString();
+    run.recipients = recipients;
+    if (error) {
+      run.status = "failed";
+      run.error = error.message;
+    } else {
+      run.status = "sending";
+      this._updateStatus(run);
+    }
+    this._saveRuns();
+  }
+
+  /**
+   * 丢弃执行记录
+   * 用于没有发送任何消息、不需要记录的执行，如按设备时区推送的任务的定期检查
+   * @param {string} runId - 执行记录 ID
+   */
+  discardRun(runId) {
+    const run = this.runIndex.get(runId);
+    if (!run) return;
+
+    this.runIndex.delete(runId);
+    this.runs.splice(this.runs.indexOf(run), 1);
+  }
+
+  /**
+   * 获取任务的执行记录，最新的在前
+   * @param {string} job - 任务名称
+   * @param {number} [limit] - 最多返回的数量
+   * @returns {Array} 执行记录列表
+   */
+  getRuns(job, limit) {
+    const runs = this.runs.filter((run) => run.job === job).reverse();
+    return limit ? runs.slice(0, limit) : runs;
+  }
+
+  /**
+   * 获取任务的执行概况
+   * failureStreak 为最近连续失败的次数，不计入还未结束的执行
+   * @param {string} job - 任务名称
+   * @returns {Object} { lastRun, lastStatus, failureStreak }
+   */
+  getSummary(job) {
+    const runs = this.getRuns(job);
+    let failureStreak = 0;
+    for (const run of runs) {
+      if (run.status === "running" || run.status === "sending") continue;
+      if (run.status !== "failed") break;
+      failureStreak++;
+    }
+
+    return {
+      lastRun: runs.length > 0 ? runs[0].startedAt : null,
+      lastStatus: runs.length > 0 ? runs[0].status : null,
+      failureStreak,
+    };
+  }
+
+  /**
+   * 删除任务的所有执行记录
+   * @param {string} job - 任务名称
+   */
+  removeJob(job) {
+    this._removeRuns((run) => run.job === job);
+  }
+
+  /**
+   * 标记已删除任务的执行记录，保留 RETIRED_RUN_RETENTION 后清理
+   * 用于执行后自动删除的一次性任务
+   * @param {string} job - 任务名称
+   */
+  retireJob(job) {
+    const retiredAt = new Date().toISOString();
+    for (const run of this.runs) {
+      if (run.job === job && !run.retiredAt) {
+        run.retiredAt = retiredAt;
+      }
+    }
+    this._saveRuns();
+  }
+
+  /**
+   * 删除任务已标记删除的执行记录
+   * 用于新任务使用已删除任务的名称时，避免继承旧任务的执行记录和连续失败次数
+   * @param {string} job - 任务名称
+   */
+  removeRetiredRuns(job) {
+    this._removeRuns((run) => run.job === job && Boolean(run.retiredAt));
+  }
+
+  /**
+   * 记录发送结果
+   * 免打扰时段结束后才发送的延迟消息不计入
+   * @private
+   * @param {Object} context - 发送上下文
+   * @param {number} ok - 成功的数量
+   * @param {number} failed - 失败的数量
+   */
+  _recordResults(context, ok, failed) {
+    if (!context || !context.runId || context.deferred) return;
+
+    const run = this.runIndex.get(context.runId);
+    if (!run) return;
+
+    run.tickets.ok += ok;
+    run.tickets.failed += failed;
+    if (run.status === "sending") {
+      this._updateStatus(run);
+    }
+    this._saveRuns();
+  }
+
+  /**
+   * 所有消息都有发送结果后更新执行状态
+   * @private
+   * @param {Object} run - 执行记录
+   */
+  _updateStatus(run) {
+    const { ok, failed } = run.tickets;
+    if (ok + failed < run.recipients) return;
+
+    if (failed === 0) {
+      run.status = "ok";
+    } else {
+      run.status = ok === 0 ? "failed" : "partial";
+    }
+  }
+
+  /**
+   * 删除任务超出数量的最早执行记录
+   * @private
+   * @param {string} job - 任务名称
+   */
+  _trimRuns(job) {
+    const runs = this.runs.filter((run) => run.job === job);
+    const excess = runs.length - JOB_RUNS_CONFIG.MAX_RUNS_PER_JOB;
+    if (excess <= 0) return;
+
+    const removed = new Set(runs.slice(0, excess));
+    this.runs = this.runs.filter((run) => !removed.has(run));
+    removed.forEach((run) => this.runIndex.delete(run.id));
+  }
+
+  /**
+   * 清理超过保留时间的已删除任务的执行记录
+   * @private
+   */
+  _pruneRetiredRuns() {
+    const cutoff = Date.now() - JOB_RUNS_CONFIG.RETIRED_RUN_RETENTION;
+    this._removeRuns(
+      (run) => Boolean(run.retiredAt) && new Date(run.retiredAt) < cutoff
+    );
+  }
+
+  /**
+   * 删除符合条件的执行记录，有删除时保存
+   * @private
+   * @param {Function} predicate - 判断是否删除的函数
+   */
+  _removeRuns(predicate) {
+    const count = this.runs.length;
+    this.runs = this.runs.filter((run) => !predicate(run));
+    if (this.runs.length === count) return;
+
+    this.runIndex = new Map(this.runs.map((run) => [run.id, run]));
+    this._saveRuns();
+  }
+
+  /**
+   * 保存执行记录
+   * 加载完成前不写入，避免覆盖已有记录
+   * @private
+   */
+  _saveRuns() {
+    if (!this.loaded) return;
+
+    jsonStorage
+      .write(JOB_RUNS_CONFIG.RUNS_FILE, this.runs)
+      .catch((error) => this._handleError("Failed to save job runs", error));
+  }
+
+  /**
+   * 日志输出
+   * @private
+   * @param {string} level - 日志级别
+   * @param {string} message - 日志消息
+   * @param {Object} [data] - 附加数据
+   */
+  _log(level, message, data = null) {
+    if (!JOB_RUNS_CONFIG.DEBUG && level === "debug") {
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [JobRuns] [${level.toUpperCase()}] ${message}`;
+
+    switch (level) {
+      case "error":
+        console.error(logMessage);
+        break;
+      case "warn":
+        console.warn(logMessage);
+        break;
+      case "debug":
+        console.log(logMessage);
+        if (data) console.log(JSON.stringify(data, null, 2));
+        break;
+      default:
+        console.log(logMessage);
+    }
+  }
+
+  /**
+   * 错误处理
+   * @private
+   * @param {string} context - 错误上下文
+   * @param {Error} error - 错误对象
+   */
+  _handleError(context, error) {
+    this._log("error", `${context}:`);
+    this._log("error", `Name: ${error.name}`);
+    this._log("error", `Message: ${error.message}`);
+
+    if (error.stack && JOB_RUNS_CONFIG.DEBUG) {
+      this._log("error", "Stack:", error.stack);
+    }
+  }
+}
+
+// 导出单例
+module.exports = new JobRuns();
@@ -0,0 +1,301 @@
+const timeSeriesStore = require("../utils/timeSeriesStore");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// 行情历史配置
+const MARKET_HISTORY_CONFIG = {
+  // 存储配置
+  RATES_SERIES: "rates",
+  CRYPTO_SERIES_PREFIX: "crypto-",
+  RETENTION_DAYS: 365,
+  CLEANUP_INTERVAL: DAY_MS, // 每天清理一次过期数据
+
+  // 查询配置
+  INTERVALS: { "1m": MINUTE_MS, "1h": HOUR_MS, "1d": DAY_MS },
+  DEFAULT_INTERVAL: "1h",
+  DEFAULT_RANGES: { "1m": 6 * HOUR_MS, "1h": 7 * DAY_MS, "1d": 90 * DAY_MS },
+  MAX_POINTS: 2000,
+  MAX_RANGE: 365 * DAY_MS, // 单次查询最长一年，与数据保留时间一致
+
+  // 调试选项
+  DEBUG: process.env.NODE_ENV === "development",
+};
+
+/**
+ * 行情历史服务类
+ * 保存每次获取的汇率和加密货币行情，按时间间隔聚合为 OHLC 数据
+ */
+class MarketHistory {
+  constructor() {
+    this.cleanupTimer = null;
+    this._log("info", "Market history service initialized");
+  }
+
+  /**
+   * 启动服务，定期清理过期数据
+   */
+  async start() {
+    await this._cleanup();
+    this.cleanupTimer = setInterval(async () => {
+      await this._cleanup();
+    }, MARKET_HISTORY_CONFIG.CLEANUP_INTERVAL);
+
+    this._log("info", "Market history service started", {
+      retentionDays: MARKET_HISTORY_CONFIG.RETENTION_DAYS,
+    });
+  }
+
+  /**
+   * 停止服务
+   */
+  stop() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+      this._log("info", "Market history service stopped");
+    }
+  }
+
+  /**
+   * 记录汇率
+   * @param {Object} rates - 相对USD的汇率数据
+   * @param {string} timestamp - 获取时间（ISO 格式）
+   * @param {string|null} [source] - 提供数据的数据源
+   */
+  recordRates(rates, timestamp, source = null) {
+    timeSeriesStore
+      .append(MARKET_HISTORY_CONFIG.RATES_SERIES, {
+        time: new Date(timestamp).getTime(),
+        source,
+        rates,
+      })
+      .catch((error) => this._handleError("Failed to record rates", error));
+  }
+
+  /**
+   * 记录加密货币行情
+   * @param {Object} tickers - 行情数据，交易对 => { price, timestamp, source }
+   */
+  recordTickers(tickers) {
+    Object.entries(tickers).forEach(([symbol, ticker]) => {
+      timeSeriesStore
+        .append(this._getCryptoSeries(symbol), {
+          time: new Date(ticker.timestamp).getTime(),
+          source: ticker.source || null,
+          price: ticker.price,
+        })
+        .catch((error) =>
+          this._handleError(`Failed to record ${symbol} ticker`, error)
+        );
+    });
+  }
+
+  /**
+   * 解析历史查询参数
+   * @param {Object} query - 查询参数
+   * @param {string} [query.interval] - 时间间隔：1m、1h、1d，默认1h
+   * @param {string} [query.from] - 起始时间（ISO 格式），默认按时间间隔取最近一段时间
+   * @param {string} [query.to] - 结束时间（ISO 格式），默认当前时间
+   * @returns {Object} { interval, from, to }，时间为毫秒时间戳
+   * @throws {Error} 参数无效或时间范围超过 MAX_RANGE 时抛出错误
+   */
+  parseQuery(query = {}) {
+    const interval = query.interval || MARKET_HISTORY_CONFIG.DEFAULT_INTERVAL;
+    const intervalMs = MARKET_HISTORY_CONFIG.INTERVALS[interval];
+    if (!intervalMs) {
+      throw new Error(
+        `Unsupported interval: ${interval}. Supported intervals: ${Object.keys(
+          MARKET_HISTORY_CONFIG.INTERVALS
+        ).join(", ")}`
+      );
+    }
+
+    const to = query.to ? new Date(query.to).getTime() : Date.now();
+    const from = query.from
+      ? new Date(query.from).getTime()
+      : to - MARKET_HISTORY_CONFIG.DEFAULT_RANGES[interval];
+
+    if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+      throw new Error("Invalid time range");
+    }
+
+    if (to - from > MARKET_HISTORY_CONFIG.MAX_RANGE) {
+      throw new Error(
+        `Time range too large, at most ${
+          MARKET_HISTORY_CONFIG.MAX_RANGE / DAY_MS
+        } days are allowed`
+      );
+    }
+
+    if ((to - from) / intervalMs > MARKET_HISTORY_CONFIG.MAX_POINTS) {
+      throw new Error(
+        `Time range too large for interval ${interval}, at most ${MARKET_HISTORY_CONFIG.MAX_POINTS} points are allowed`
+      );
+    }
+
+    return { interval, from, to };
+  }
+
+  /**
+   * 获取货币对的汇率历史
+   * @param {string} base - 基础货币
+   * @param {string} quote - 计价货币
+   * @param {Object} query - parseQuery 返回的查询参数
+   * @returns {Promise<Array>} OHLC 数据
+   */
+  async getRateHistory(base, quote, { interval, from, to }) {
+    const records = await timeSeriesStore.query(
+      MARKET_HISTORY_CONFIG.RATES_SERIES,
+      from,
+      to
+    );
+
+    const points = records
+      .filter((record) => record.rates[base] && record.rates[quote])
+      .map((record) => ({
+        time: record.time,
+        value: record.rates[quote] / record.rates[base],
+        source: record.source,
+      }));
+
+    return this._aggregate(points, MARKET_HISTORY_CONFIG.INTERVALS[interval]);
+  }
+
+  /**
+   * 获取交易对的价格历史
+   * @param {string} symbol - 交易对
+   * @param {Object} query - parseQuery 返回的查询参数
+   * @returns {Promise<Array>} OHLC 数据
+   */
+  async getPriceHistory(symbol, { interval, from, to }) {
+    const records = await timeSeriesStore.query(
+      this._getCryptoSeries(symbol),
+      from,
+      to
+    );
+
+    const points = records.map((record) => ({
+      time: record.time,
+      value: record.price,
+      source: record.source,
+    }));
+
+    return this._aggregate(points, MARKET_HISTORY_CONFIG.INTERVALS[interval]);
+  }
+
+  /**
+   * 按时间间隔聚合为 OHLC 数据
+   * @private
+   * @param {Array} points - 按时间排序的数据点 [{ time, value, source }]
+   * @param {number} intervalMs - 时间间隔（毫秒）
+   * @returns {Array} [{ time, open, high, low, close, count, sources }]
+   */
+  _aggregate(points, intervalMs) {
+    const buckets = [];
+    let current = null;
+
+    points.forEach(({ time, value, source }) => {
+      const bucketTime = Math.floor(time / intervalMs) * intervalMs;
+
+      if (!current || current.bucketTime !== bucketTime) {
+        current = {
+          bucketTime,
+          open: value,
+          high: value,
+          low: value,
+          close: value,
+          count: 0,
+          sources: [],
+        };
+        buckets.push(current);
+      }
+
+      current.high = Math.max(current.high, value);
+      current.low = Math.min(current.low, value);
+      current.close = value;
+      current.count++;
+      if (source && !current.sources.includes(source)) {
+        current.sources.push(source);
+      }
+    });
+
+    return buckets.map(({ bucketTime, ...bucket }) => ({
+      time: new Date(bucketTime).toISOString(),
+      ...bucket,
+    }));
+  }
+
+  /**
+   * 获取交易对的序列名称
+   * @private
+   * @param {string} symbol - 交易对
+   * @returns {string} 序列名称
+   */
+  _getCryptoSeries(symbol) {
+    return `${MARKET_HISTORY_CONFIG.CRYPTO_SERIES_PREFIX}${symbol}`;
+  }
+
+  /**
+   * 清理过期数据
+   * @private
+   */
+  async _cleanup() {
+    try {
+      await timeSeriesStore.cleanup(MARKET_HISTORY_CONFIG.RETENTION_DAYS);
+    } catch (error) {
+      this._handleError("Failed to clean up market history", error);
+    }
+  }
+
+  /**
+   * 日志输出
+   * @private
+   * @param {string} level - 日志级别
+   * @param {string} message - 日志消息
+   * @param {Object} [data] - 附加数据
+   */
+  _log(level, message, data = null) {
+    if (!MARKET_HISTORY_CONFIG.DEBUG && level === "debug") {
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [MarketHistory] [${level.toUpperCase()}] ${message}`;
+
+    switch (level) {
+      case "error":
+        console.error(logMessage);
+        break;
+      case "warn":
+        console.warn(logMessage);
+        break;
+      case "debug":
+        console.log(logMessage);
+        if (data) console.log(JSON.stringify(data, null, 2));
+        break;
+      default:
+        console.log(logMessage);
+    }
+  }
+
+  /**
+   * 错误处理
+   * @private
+   * @param {string} context - 错误上下文
+   * @param {Error} error - 错误对象
+   */
+  _handleError(context, error) {
+    this._log("error", `${context}:`);
+    this._log("error", `Name: ${error.name}`);
+    this._log("error", `Message: ${error.message}`);
+
+    if (error.stack && MARKET_HISTORY_CONFIG.DEBUG) {
+      this._log("error", "Stack:", error.stack);
+    }
+  }
+}
+
+// 导出单例
+module.exports = new MarketHistory();
@@ -0,0 +1,523 @@
+const scheduledNotifications = require("./scheduledNotifications");
+const alertRules = require("./alertRules");
+const deviceManager = require("./deviceManager");
+const marketHistory = require("./marketHistory");
+const notificationQueue = require("./notificationQueue");
+const expoPushNotifications = require("../utils/expoPushNotifications");
+const providerRegistry = require("../providers/providerRegistry");
+
+// 行情监控服务配置
+const MARKET_MONITOR_CONFIG = {
+  // 行情配置
+  TICKER_CACHE_DURATION: 30 * 1000, // 行情缓存30秒，同时触发的任务共用一次请求
+  TICKER_STALE_AFTER: 5 * 60 * 1000, // 行情超过5分钟未更新视为过期
+
+  // 监控配置
+  SYMBOLS: [
+    ...new Set(
+      (process.env.MARKET_SYMBOLS || "BTC-USDT,ETH-USDT,SOL-USDT")
+        .split(",")
+        .map((symbol) => symbol.trim().toUpperCase())
+        .filter(Boolean)
+    ),
+  ],
+  DEFAULT_QUOTE_CURRENCY: "USDT", // 该计价币种的任务名称和消息类型只使用基础币种
+  CHECK_INTERVAL: 5 * 60 * 1000, // 每5分钟检查一次
+  NOTIFICATION_INTERVAL: "0 */30 * * * *", // 每30分钟推送一次（整点和半点）
+  SAMPLE_RETENTION: 24 * 60 * 60 * 1000, // 价格样本保留24小时
+
+  // 任务配置
+  PRICE_TEMPLATE: "crypto-price",
+  PRICE_TOPIC: "crypto-price",
+  ALERT_TOPIC: "price-alert",
+
+  // 调试选项
+  DEBUG: process.env.NODE_ENV === "development",
+};
+
+/**
+ * 行情监控服务类
+ * 从配置的数据源批量获取行情，按交易对推送价格更新并检查价格预警规则
+ */
+class MarketMonitor {
+  constructor() {
+    this.jobs = new Map();
+    this.monitorTimer = null;
+    this.tickerCache = { tickers: null, timestamp: 0, pending: null };
+
+    // 每个交易对的行情状态：{ lastTicker, samples }
+    this.markets = new Map(
+      MARKET_MONITOR_CONFIG.SYMBOLS.map((symbol) => [
+        symbol,
+        { lastTicker: null, samples: [] },
+      ])
+    );
+
+    // 注册价格消息模板，每次推送时获取最新价格
+    scheduledNotifications.registerTemplate(
+      MARKET_MONITOR_CONFIG.PRICE_TEMPLATE,
+      ({ symbol }) => this._getPriceMessage(symbol)
+    );
+
+    this._log("info", "Market monitor service initialized");
+  }
+
+  /**
+   * 启动服务
+   */
+  async start() {
+    try {
+      // 为每个交易对启动定时推送任务（每30分钟更新一次价格，推送给订阅该交易对的设备）
+      for (const symbol of MARKET_MONITOR_CONFIG.SYMBOLS) {
+        const jobName = this.getJobName(symbol, "update");
+        const job = scheduledNotifications.scheduleCustom(
+          jobName,
+          MARKET_MONITOR_CONFIG.NOTIFICATION_INTERVAL,
+          { type: "symbol", symbol, topic: MARKET_MONITOR_CONFIG.PRICE_TOPIC },
+          `${this._getBaseCurrency(symbol)}价格更新`,
+          {
+            template: MARKET_MONITOR_CONFIG.PRICE_TEMPLATE,
+            params: { symbol },
+          },
+          { type: this._getMessageType(symbol, "update"), symbol },
+          { persist: false }
+        );
+        this.jobs.set(jobName, job);
+      }
+
+      // 启动价格监控（每5分钟检查一次）
+      this.monitorTimer = setInterval(async () => {
+        await this._checkPriceAlerts();
+      }, MARKET_MONITOR_CONFIG.CHECK_INTERVAL);
+
+      this._log("info", "Market monitor service started", {
+        symbols: MARKET_MONITOR_CONFIG.SYMBOLS,
+        checkInterval: "5 minutes",
+        notificationInterval: "30 minutes",
+      });
+    } catch (error) {
+      this._handleError("Failed to start market monitor service", error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取监控的交易对列表
+   * @returns {Array} 交易对列表
+   */
+  getSymbols() {
+    return [...MARKET_MONITOR_CONFIG.SYMBOLS];
+  }
+
+  /**
+   * 获取交易对的当前行情快照
+   * 刷新失败时返回上一次获取的行情，并标记为过期
+   * @param {string} symbol - 交易对，如 BTC-USDT
+   * @returns {Promise<Object>} { success, ticker, fetchedAt, stale }
+   */
+  async getTickerSnapshot(symbol) {
+    const result = await this._fetchTickers();
+    const cache = this.tickerCache;
+    const ticker = cache.tickers && cache.tickers[symbol];
+
+    if (!ticker) {
+      return {
+        success: false,
+        error: result.success ? `No ticker data for ${symbol}` : result.error,
+      };
+    }
+
+    return {
+      success: true,
+      ticker,
+      fetchedAt: new Date(cache.timestamp).toISOString(),
+      stale:
+        !result.success ||
+        Date.now() - new Date(ticker.timestamp).getTime() >
+          MARKET_MONITOR_CONFIG.TICKER_STALE_AFTER,
+    };
+  }
+
+  /**
+   * 是否监控该交易对
+   * @param {string} symbol - 交易对，如 BTC-USDT
+   * @returns {boolean} 是否监控
+   */
+  isTracked(symbol) {
+    return this.markets.has(symbol);
+  }
+
+  /**
+   * 获取交易对对应的任务名称
+   * USDT 交易对沿用原有的名称（如 btc-price-update），其他计价币种带上计价币种（如 btc-eur-price-update），
+   * 基础币种相同的交易对不会重名
+   * @param {string} symbol - 交易对
+   * @param {string} kind - 任务类型（update 或 alert）
+   * @returns {string} 任务名称，如 btc-price-update
+   */
+  getJobName(symbol, kind) {
+    return `${this._getSymbolKey(symbol, "-")}-price-${kind}`;
+  }
+
+  /**
+   * 获取单个交易对的最新价格
+   * @private
+   * @param {string} symbol - 交易对
+   * @returns {Promise<Object>} 价格数据
+   */
+  async _fetchPrice(symbol) {
+    const tickers = await this._fetchTickers();
+    if (!tickers.success) {
+      return tickers;
+    }
+
+    const priceData = tickers.tickers[symbol];
+    if (!priceData) {
+      return {
+        success: false,
+        error: `No ticker data for ${symbol}`,
+      };
+    }
+
+    return { success: true, ...priceData };
+  }
+
+  /**
+   * 批量获取所有监控交易对的最新行情
+   * @private
+   * @returns {Promise<Object>} { success, tickers: { [symbol]: 价格数据 } }
+   */
+  async _fetchTickers() {
+    const now = Date.now();
+    const cache = this.tickerCache;
+
+    if (
+      cache.tickers &&
+      now - cache.timestamp < MARKET_MONITOR_CONFIG.TICKER_CACHE_DURATION
+    ) {
+      return { success: true, tickers: cache.tickers };
+    }
+
+    if (!cache.pending) {
+      cache.pending = this._requestTickers().finally(() => {
+        cache.pending = null;
+      });
+    }
+
+    return cache.pending;
+  }
+
+  /**
+   * 从数据源请求行情
+   * @private
+   * @returns {Promise<Object>} { success, tickers }
+   */
+  async _requestTickers() {
+    try {
+      const result = await providerRegistry.getTickers(this.getSymbols());
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.tickerCache.tickers = result.tickers;
+      this.tickerCache.timestamp = Date.now();
+      marketHistory.recordTickers(result.tickers);
+      return { success: true, tickers: result.tickers };
+    } catch (error) {
+      this._handleError("Failed to fetch market tickers", error);
+      return {
+        success: false,
+        error: "Failed to fetch market tickers",
+      };
+    }
+  }
+
+  /**
+   * 检查所有交易对的价格并发送预警
+   * 使用最新行情检查所有设备的预警规则，只通知规则触发的设备
+   * @private
+   */
+  async _checkPriceAlerts() {
+    const result = await this._fetchTickers();
+    if (!result.success) return;
+
+    for (const [symbol, priceData] of Object.entries(result.tickers)) {
+      await this._checkPriceAlert(symbol, priceData);
+    }
+  }
+
+  /**
+   * 检查单个交易对的价格预警
+   * @private
+   * @param {string} symbol - 交易对
+   * @param {Object} priceData - 价格数据
+   */
+  async _checkPriceAlert(symbol, priceData) {
+    try {
+      const market = this.markets.get(symbol);
+      // 属于用户的规则提醒用户的所有设备，取消订阅价格预警主题的设备不发送提醒
+      const triggered = alertRules
+        .evaluate(symbol, priceData, {
+          previousTicker: market.lastTicker,
+          samples: market.samples,
+        })
+        .map((match) => ({
+          ...match,
+          tokens: deviceManager
+            .getRecipientTokens(match.rule)
+            .filter((token) =>
+              deviceManager.isSubscribed(
+                token,
+                MARKET_MONITOR_CONFIG.ALERT_TOPIC
+              )
+            ),
+        }))
+        .filter(({ tokens }) => tokens.length > 0);
+      this._recordPriceSample(market, priceData);
+
+      this._log("debug", `Checking price alert rules for ${symbol}`, {
+        currentPrice: priceData.price,
+        triggered: triggered.length,
+      });
+
+      if (triggered.length === 0) return;
+
+      const baseCurrency = this._getBaseCurrency(symbol);
+      const notifications = triggered
+        .flatMap(({ rule, detail, tokens }) =>
+          tokens.map((token) =>
+            expoPushNotifications.createMessage(
+              token,
+              `${baseCurrency}价格预警`,
+              this._formatAlertMessage(symbol, rule, priceData, detail),
+              {
+                type: this._getMessageType(symbol, "alert"),
+                symbol,
+                ruleId: rule.id,
+                ruleType: rule.type,
+              }
+            )
+          )
+        )
+        .filter(Boolean);
+
+      notificationQueue.enqueue(notifications, {
+        job: this.getJobName(symbol, "alert"),
+      });
+      alertRules.markTriggered(
+        triggered.map(({ rule }) => rule.id),
+        priceData.price
+      );
+      this._log("info", `Price alert notifications sent for ${symbol}`, {
+        price: priceData.price,
+        rules: triggered.length,
+      });
+    } catch (error) {
+      this._handleError(`Failed to check price alert for ${symbol}`, error);
+    }
+  }
+
+  /**
+   * 记录价格样本，用于计算时间窗口内的涨跌幅
+   * @private
+   * @param {Object} market - 交易对行情状态
+   * @param {Object} priceData - 价格数据
+   */
+  _recordPriceSample(market, priceData) {
+    const now = Date.now();
+    const windowStart = now - MARKET_MONITOR_CONFIG.SAMPLE_RETENTION;
+
+    market.samples.push({ price: priceData.price, time: now });
+    market.samples = market.samples.filter(
+      (sample) => sample.time >= windowStart
+    );
+    market.lastTicker = priceData;
+  }
+
+  /**
+   * 格式化预警消息
+   * @private
+   * @param {string} symbol - 交易对
+   * @param {Object} rule - 触发的预警规则
+   * @param {Object} priceData - 价格数据
+   * @param {Object} detail - 触发说明
+   * @returns {string} 预警消息
+   */
+  _formatAlertMessage(symbol, rule, priceData, detail) {
+    const baseCurrency = this._getBaseCurrency(symbol);
+    const quoteCurrency = this._getQuoteCurrency(symbol);
+    const currentPrice = `当前价格: ${priceData.price.toFixed(
+      2
+    )} ${quoteCurrency}`;
+
+    switch (rule.type) {
+      case "above":
+        return `🟢 ⬆️ ${baseCurrency}价格预警！\n${currentPrice}\n已突破 ${detail.threshold} ${quoteCurrency}`;
+      case "below": {
+        // 计算与阈值的差距百分比
+        const thresholdDiff = (
+          ((detail.threshold - priceData.price) / detail.threshold) *
+          100
+        ).toFixed(2);
+        return `🔴 ⬇️ ${baseCurrency}价格预警！\n${currentPrice}\n已跌破 ${detail.threshold} ${quoteCurrency}\n低于阈值: ${thresholdDiff}%`;
+      }
+      case "percent_change": {
+        const isPositive = detail.change >= 0;
+        const icons = isPositive ? "🟢 ⬆️" : "🔴 ⬇️";
+        return `${icons} ${baseCurrency}价格异动！\n${currentPrice}\n${
+          rule.windowMinutes
+        }分钟内${isPositive ? "上涨" : "下跌"} ${Math.abs(
+          detail.change
+        ).toFixed(2)}%`;
+      }
+      case "cross_high":
+        return `🟢 ⬆️ ${baseCurrency}突破24小时最高价！\n${currentPrice}\n24h高: ${detail.threshold.toFixed(
+          2
+        )}`;
+      case "cross_low":
+        return `🔴 ⬇️ ${baseCurrency}跌破24小时最低价！\n${currentPrice}\n24h低: ${detail.threshold.toFixed(
+          2
+        )}`;
+      default:
+        return currentPrice;
+    }
+  }
+
+  /**
+   * 获取价格消息
+   * 获取价格失败时抛出错误，本次推送记为失败且不发送消息
+   * @private
+   * @param {string} symbol - 交易对
+   * @returns {Promise<string>} 格式化的价格消息
+   * @throws {Error} 获取价格失败时抛出错误
+   */
+  async _getPriceMessage(symbol) {
+    const baseCurrency = this._getBaseCurrency(symbol);
+    const quoteCurrency = this._getQuoteCurrency(symbol);
+
+    const priceData = await this._fetchPrice(symbol);
+    if (!priceData.success) {
+      throw new Error(priceData.error || `Failed to fetch ${symbol} price`);
+    }
+
+    // 计算24小时涨跌幅
+    const priceChange = priceData.price - priceData.open24h;
+    const priceChangePercent = (
+      (priceChange / priceData.open24h) *
+      100
+    ).toFixed(2);
+
+    // 根据涨跌选择颜色和图标
+    const isPositive = priceChange >= 0;
+    const colorIcon = isPositive ? "🟢" : "🔴";
+    const directionIcon = isPositive ? "⬆️" : "⬇️";
+
+    // 格式化价格变化
+    const changeText = `${colorIcon} ${directionIcon} ${priceChangePercent}%`;
+
+    return `${baseCurrency}最新价格：${priceData.price.toFixed(
+      2
+    )} ${quoteCurrency}\n24h高：${priceData.high24h.toFixed(
+      2
+    )}\n24h低：${priceData.low24h.toFixed(2)}\n24h涨跌：${changeText}`;
+  }
+
+  /**
+   * 获取交易对的基础币种
+   * @private
+   * @param {string} symbol - 交易对，如 BTC-USDT
+   * @returns {string} 基础币种，如 BTC
+   */
+  _getBaseCurrency(symbol) {
+    return symbol.split("-")[0];
+  }
+
+  /**
+   * 获取交易对的计价币种
+   * @private
+   * @param {string} symbol - 交易对，如 BTC-USDT
+   * @returns {string} 计价币种，如 USDT
+   */
+  _getQuoteCurrency(symbol) {
+    return symbol.split("-")[1] || "";
+  }
+
+  /**
+   * 获取推送消息类型
+   * @private
+   * @param {string} symbol - 交易对
+   * @param {string} kind - 消息类型（update 或 alert）
+   * @returns {string} 消息类型，如 btc_price_update、btc_eur_price_update
+   */
+  _getMessageType(symbol, kind) {
+    return `${this._getSymbolKey(symbol, "_")}_price_${kind}`;
+  }
+
+  /**
+   * 将交易对转换为小写的标识，非字母数字的字符替换为分隔符
+   * USDT 交易对只使用基础币种，与客户端已有的消息类型和任务名称保持一致
+   * @private
+   * @param {string} symbol - 交易对，如 BTC-USDT
+   * @param {string} separator - 分隔符
+   * @returns {string} 标识，如 btc（BTC-USDT）、btc-eur（BTC-EUR）
+   */
+  _getSymbolKey(symbol, separator) {
+    const normalized = symbol.trim().toUpperCase();
+    const key =
+      this._getQuoteCurrency(normalized) ===
+      MARKET_MONITOR_CONFIG.DEFAULT_QUOTE_CURRENCY
+        ? this._getBaseCurrency(normalized)
+        : normalized;
+    return key.toLowerCase().replace(/[^a-z0-9]+/g, separator);
+  }
+
+  /**
+   * 日志输出
+   * @private
+   */
+  _log(level, message, data = null) {
+    if (!MARKET_MONITOR_CONFIG.DEBUG && level === "debug") {
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [MarketMonitor] [${level.toUpperCase()}] ${message}`;
+
+    switch (level) {
+      case "error":
+        console.error(logMessage);
+        break;
+      case "warn":
+        console.warn(logMessage);
+        break;
+      case "debug":
+        console.log(logMessage);
+        if (data) console.log(JSON.stringify(data, null, 2));
+        break;
+      default:
+        console.log(logMessage);
+    }
+  }
+
+  /**
+   * 错误处理
+   * @private
+   */
+  _handleError(context, error) {
+    this._log("error", `${context}:`);
+    this._log("error", `Name: ${error.name}`);
+    this._log("error", `Message: ${error.message}`);
+
+    if (error.response) {
+      this._log("error", "Response status:", error.response.status);
+      this._log("error", "Response data:", error.response.data);
+    }
+
+    if (MARKET_MONITOR_CONFIG.DEBUG) {
+      this._log("error", "Stack:", error.stack);
+    }
+  }
+}
+
+// 导出单例
+module.exports = new MarketMonitor();
@@ -0,0 +1,318 @@
+const crypto = require("crypto");
+const expoPushNotifications = require("../utils/expoPushNotifications");
+const notificationQueue = require("./notificationQueue");
+const jsonStorage = require("../utils/jsonStorage");
+
+// 推送历史配置
+const HISTORY_CONFIG = {
+  // 存储配置
+  HISTORY_FILE: "notification-history.json",
+  MAX_RECORDS: 10000,
+  RETENTION_DAYS: 30,
+
+  // 查询配置
+  DEFAULT_PAGE_SIZE: 50,
+  MAX_PAGE_SIZE: 500,
+
+  // 调试选项
+  DEBUG: process.env.NODE_ENV === "development",
+};
+
+/**
+ * 推送历史服务类
+ * 记录每条推送的发送结果和回执状态
+ *
+ * 记录状态：
+ * - sent: 已提交到 Expo，等待回执
+ * - ok: 回执确认已投递到推送服务商
+ * - error: 发送凭证或回执返回错误
+ * - failed: 请求 Expo 失败，消息未发出（推送队列中的消息在移入死信列表时记录）
+ * - expired: 超过回执保留期限仍未查询到回执
+ */
+class NotificationHistory {
+  constructor() {
+    this.records = [];
+    this.ticketIndex = new Map();
+    this.loaded = false;
+
+    expoPushNotifications.on("tickets", (entries, context) =>
+      this.recordTickets(entries, context)
+    );
+    expoPushNotifications.on("failed", (messages, error, context) =>
+      this.recordFailure(messages, error, context)
+    );
+    notificationQueue.on("dead-letter", (messages, error, context) =>
+      this.recordFailure(messages, error, context)
+    );
+
+    this._log("info", "Notification history service initialized");
+  }
+
+  /**
+   * 加载历史记录
+   */
+  async load() {
+    try {
+      const stored = await jsonStorage.read(HISTORY_CONFIG.HISTORY_FILE, []);
+
+      // 合并加载期间产生的新记录
+      this.records = [...stored, ...this.records];
+      this._rebuildIndex();
+      this.loaded = true;
+
+      this._log("info", `Loaded ${stored.length} history records`);
+    } catch (error) {
+      this._handleError("Failed to load notification history", error);
+      throw error;
+    }
+  }
+
+  /**
+   * 记录发送凭证
+   * @param {Array} entries - 凭证列表 [{ ticket, message }]
+   * @param {Object} [context] - 发送上下文
+   */
+  recordTickets(entries, context = {}) {
+    const sentAt = new Date().toISOString();
+
+    entries.forEach(({ ticket, message }) => {
+      const isError = ticket.status === "error";
+      this._addRecord(
+        this._createRecord(message, context, {
+          ticketId: ticket.id || null,
+          status: isError ? "error" : "sent",
+          error: isError
+            ? (ticket.details && ticket.details.error) || ticket.message
+            : null,
+          sentAt,
+        })
+      );
+    });
+
+    this._saveHistory();
+  }
+
+  /**
+   * 记录发送失败的消息
+   * @param {Array} messages - 消息列表
+   * @param {Error} error - 错误对象
+   * @param {Object} [context] - 发送上下文
+   */
+  recordFailure(messages, error, context = {}) {
+    const sentAt = new Date().toISOString();
+
+    messages.forEach((message) => {
+      this._addRecord(
+        this._createRecord(message, context, {
+          ticketId: null,
+          status: "failed",
+          error: error.message,
+          sentAt,
+        })
+      );
+    });
+
+    this._saveHistory();
+  }
+
+  /**
+   * 更新凭证对应记录的回执状态
+   * @param {string} ticketId - 凭证 ID
+   * @param {string} status - 回执状态
+   * @param {string|null} [error] - 错误类型
+   * @returns {boolean} 是否找到记录
+   */
+  updateReceipt(ticketId, status, error = null) {
+    const record = this.ticketIndex.get(ticketId);
+    if (!record) {
+      return false;
+    }
+
+    record.status = status;
+    record.error = error;
+    record.receiptCheckedAt = new Date().toISOString();
+    this._saveHistory();
+    return true;
+  }
+
+  /**
+   * 查询历史记录
+   * @param {Object} [filters] - 查询条件
+   * @param {string} [filters.token] - 推送令牌
+   * @param {string} [filters.job] - 任务名称
+   * @param {string} [filters.type] - 消息类型（data.type）
+   * @param {string} [filters.status] - 记录状态
+   * @param {string} [filters.from] - 起始时间（ISO 格式）
+   * @param {string} [filters.to] - 结束时间（ISO 格式）
+   * @param {number} [filters.page] - 页码，从1开始
+   * @param {number} [filters.pageSize] - 每页数量
+   * @returns {Object} { total, page, pageSize, records }
+   */
+  query(filters = {}) {
+    const { token, job, type, status } = filters;
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    const to = filters.to ? new Date(filters.to).getTime() : null;
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      throw new Error("Invalid time range");
+    }
+
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const pageSize = Math.min(
+      Math.max(
+        parseInt(filters.pageSize, 10) || HISTORY_CONFIG.DEFAULT_PAGE_SIZE,
+        1
+      ),
+      HISTORY_CONFIG.MAX_PAGE_SIZE
+    );
+
+    const matched = this.records
+      .filter((record) => {
+        const sentAt = new Date(record.sentAt).getTime();
+        return (
+          (!token || record.token === token) &&
+          (!job || record.job === job) &&
+          (!type || record.type === type) &&
+          (!status || record.status === status) &&
+          (from === null || sentAt >= from) &&
+          (to === null || sentAt <= to)
+        );
+      })
+      .reverse();
+
+    return {
+      total: matched.length,
+      page,
+      pageSize,
+      records: matched.slice((page - 1) * pageSize, page * pageSize),
+    };
+  }
+
+  /**
+   * 创建历史记录
+   * @private
+   * @param {Object} message - 推送消息
+   * @param {Object} context - 发送上下文
+   * @param {Object} result - 发送结果
+   * @returns {Object} 历史记录
+   */
+  _createRecord(message, context, result) {
+    return {
+      id: crypto.randomUUID(),
+      job: context.job || null,
+      token: message.to,
+      title: message.title,
+      body: message.body,
+      type: (message.data && message.data.type) || null,
+      ...result,
+      receiptCheckedAt: null,
+    };
+  }
+
+  /**
+   * 添加记录并清理超出保留范围的旧记录
+   * @private
+   * @param {Object} record - 历史记录
+   */
+  _addRecord(record) {
+    this.records.push(record);
+    if (record.ticketId) {
+      this.ticketIndex.set(record.ticketId, record);
+    }
+
+    const expiryTime =
+      Date.now() - HISTORY_CONFIG.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    let removeCount = Math.max(
+      this.records.length - HISTORY_CONFIG.MAX_RECORDS,
+      0
+    );
+    while (
+      removeCount < this.records.length &&
+      new Date(this.records[removeCount].sentAt).getTime() < expiryTime
+    ) {
+      removeCount++;
+    }
+
+    if (removeCount > 0) {
+      this.records.splice(0, removeCount);
+      this._rebuildIndex();
+    }
+  }
+
+  /**
+   * 重建凭证索引
+   * @private
+   */
+  _rebuildIndex() {
+    this.ticketIndex = new Map(
+      this.records
+        .filter((record) => record.ticketId)
+        .map((record) => [record.ticketId, record])
+    );
+  }
+
+  /**
+   * 保存历史记录
+   * 加载完成前不写入，避免覆盖已有记录
+   * @private
+   */
+  _saveHistory() {
+    if (!this.loaded) return;
+
+    jsonStorage
+      .write(HISTORY_CONFIG.HISTORY_FILE, this.records)
+      .catch((error) =>
+        this._handleError("Failed to save notification history", error)
+      );
+  }
+
+  /**
+   * 日志输出
+   * @private
+   * @param {string} level - 日志级别
+   * @param {string} message - 日志消息
+   * @param {Object} [data] - 附加数据
+   */
+  _log(level, message, data = null) {
+    if (!HISTORY_CONFIG.DEBUG && level === "debug") {
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [History] [${level.toUpperCase()}] ${message}`;
+
+    switch (level) {
+      case "error":
+        console.error(logMessage);
+        break;
+      case "warn":
+        console.warn(logMessage);
+        break;
+      case "debug":
+        console.log(logMessage);
+        if (data) console.log(JSON.stringify(data, null, 2));
+        break;
+      default:
+        console.log(logMessage);
+    }
+  }
+
+  /**
+   * 错误处理
+   * @private
+   * @param {string} context - 错误上下文
+   * @param {Error} error - 错误对象
+   */
+  _handleError(context, error) {
+    this._log("error", `${context}:`);
+    this._log("error", `Name: ${error.name}`);
+    this._log("error", `Message: ${error.message}`);
+
+    if (error.stack && HISTORY_CONFIG.DEBUG) {
+      this._log("error", "Stack:", error.stack);
+    }
+  }
+}
+
+// 导出单例
+module.exports = new NotificationHistory();
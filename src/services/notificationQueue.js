@@ -0,0 +1,468 @@
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const { Expo } = require("expo-server-sdk");
+const expoPushNotifications = require("../utils/expoPushNotifications");
+const jsonStorage = require("../utils/jsonStorage");
+
+// 推送队列配置
+const QUEUE_CONFIG = {
+  // 存储配置
+  QUEUE_FILE: "notification-queue.json",
+  DEAD_LETTER_FILE: "dead-letter-notifications.json",
+  MAX_DEAD_LETTERS: 10000,
+
+  // 发送配置
+  WORKER_INTERVAL: 5 * 1000, // 每 5 秒检查一次到期的消息
+  BATCH_SIZE: 1000, // 每轮最多发送的消息数量
+
+  // 重试配置，第 n 次失败后等待 BASE_DELAY * 2^(n-1)，不超过 MAX_DELAY
+  MAX_ATTEMPTS: parseInt(process.env.PUSH_MAX_ATTEMPTS, 10) || 5,
+  BASE_DELAY: 30 * 1000,
+  MAX_DELAY: 30 * 60 * 1000,
+
+  // Expo 限流且没有返回 Retry-After 时暂停发送的时间
+  RATE_LIMIT_DELAY: 60 * 1000,
+
+  // 调试选项
+  DEBUG: process.env.NODE_ENV === "development",
+};
+
+/**
+ * 推送队列服务类
+ * 消息先保存到队列，再由后台任务按块发送；发送失败的消息按指数退避重试，
+ * 服务重启后继续发送队列中的消息
+ *
+ * - Expo 限流（429）时按 Retry-After 暂停整个队列的发送
+ * - 请求本身有误（429 以外的 4xx）时不再重试
+ * - 达到最大尝试次数后移入死信列表，可以通过管理接口查看和重新发送
+ *
+ * 消息移入死信列表时触发 dead-letter 事件，参数为消息列表、错误对象和发送上下文
+ */
+class NotificationQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.pending = new Map();
+    this.deadLetters = new Map();
+    this.timer = null;
+    this.processing = false;
+    this.pausedUntil = 0;
+    this.loaded = false;
+    this._log("info", "Notification queue service initialized");
+  }
+
+  /**
+   * 启动服务
+   */
+  async start() {
+    try {
+      const [pending, deadLetters] = await Promise.all([
+        jsonStorage.read(QUEUE_CONFIG.QUEUE_FILE, []),
+        jsonStorage.read(QUEUE_CONFIG.DEAD_LETTER_FILE, []),
+      ]);
+
+      // 保留加载期间加入的新消息
+      this.pending = new Map([
+        ...pending.map((entry) => [entry.id, entry]),
+        ...this.pending,
+      ]);
+      deadLetters.forEach((entry) => this.deadLetters.set(entry.id, entry));
+      this.loaded = true;
+
+      this.timer = setInterval(async () => {
+        await this.processQueue();
+      }, QUEUE_CONFIG.WORKER_INTERVAL);
+
+      this._log("info", "Notification queue service started", {
+        pending: this.pending.size,
+        deadLetters: this.deadLetters.size,
+      });
+    } catch (error) {
+      this._handleError("Failed to start notification queue", error);
+      throw error;
+    }
+  }
+
+  /**
+   * 停止服务
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this._log("info", "Notification queue service stopped");
+    }
+  }
+
+  /**
+   * 将消息加入发送队列
+   * 加入前执行发送过滤器（如免打扰时段），重试时不再重复执行
+   * @param {Array} messages - 消息数组
+   * @param {Object} [context] - 发送上下文，见 expoPushNotifications.sendNotifications
+   * @returns {number} 加入队列的消息数量
+   */
+  enqueue(messages, context = {}) {
+    const allowed = expoPushNotifications.applySendFilters(
+      (messages || []).filter(Boolean),
+      context
+    );
+    if (allowed.length === 0) {
+      this._log("debug", "No messages to enqueue");
+      return 0;
+    }
+
+    const now = new Date().toISOString();
+    allowed.forEach((message) => {
+      const id = crypto.randomUUID();
+      this.pending.set(id, {
+        id,
+        message,
+        context,
+        attempts: 0,
+        enqueuedAt: now,
+        nextAttemptAt: now,
+        lastError: null,
+      });
+    });
+    this._saveQueue();
+
+    this._log("debug", `Enqueued ${allowed.length} notifications`, {
+      job: context.job || null,
+    });
+
+    // 立即尝试发送，不等待下一轮检查
+    if (this.timer) {
+      setImmediate(() => this.processQueue());
+    }
+    return allowed.length;
+  }
+
+  /**
+   * 发送到期的消息
+   * 不检查推送服务启动时的连接测试结果，Expo 不可用时按发送失败重试
+   * @returns {Promise<number>} 发送成功的消息数量
+   */
+  async processQueue() {
+    if (this.processing || !this.loaded || Date.now() < this.pausedUntil) {
+      return 0;
+    }
+
+    const now = Date.now();
+    const due = Array.from(this.pending.values())
+      .filter((entry) => new Date(entry.nextAttemptAt).getTime() <= now)
+      .slice(0, QUEUE_CONFIG.BATCH_SIZE);
+    if (due.length === 0) return 0;
+
+    this.processing = true;
+    let sent = 0;
+    try {
+      for (const chunk of this._chunkEntries(due)) {
+        try {
+          await expoPushNotifications.sendChunk(
+            chunk.map((entry) => entry.message),
+            chunk[0].context
+          );
+          chunk.forEach((entry) => this.pending.delete(entry.id));
+          sent += chunk.length;
+        } catch (error) {
+          this._handleError("Failed to send notification chunk", error);
+          this._handleFailure(chunk, error);
+
+          // 被 Expo 限流时暂停整个队列，剩余的消息下一轮再发送
+          if (this._isRateLimited(error)) {
+            const delay =
+              this._getRetryAfterMs(error) || QUEUE_CONFIG.RATE_LIMIT_DELAY;
+            this.pausedUntil = Date.now() + delay;
+            this._log("warn", `Rate limited by Expo, pausing for ${delay}ms`);
+            break;
+          }
+        }
+      }
+
+      this._log("info", `Sent ${sent} of ${due.length} queued notifications`);
+    } catch (error) {
+      this._handleError("Failed to process notification queue", error);
+    } finally {
+      this.processing = false;
+      this._saveQueue();
+    }
+    return sent;
+  }
+
+  /**
+   * 获取队列状态
+   * @returns {Object} { pending, deadLetters, pausedUntil }
+   */
+  getStats() {
+    return {
+      pending: this.pending.size,
+      deadLetters: this.deadLetters.size,
+      pausedUntil:
+        this.pausedUntil > Date.now()
+          ? new Date(this.pausedUntil).toISOString()
+          : null,
+    };
+  }
+
+  /**
+   * 获取死信列表，最新的在前
+   * @param {number} [limit] - 最多返回的数量
+   * @returns {Array} 死信列表
+   */
+  listDeadLetters(limit) {
+    const entries = Array.from(this.deadLetters.values()).reverse();
+    return limit ? entries.slice(0, limit) : entries;
+  }
+
+  /**
+   * 重新发送死信
+   * 消息重新加入队列，尝试次数从零开始计算
+   * @param {Array} [ids] - 死信 ID 列表，不提供时重新发送所有死信
+   * @returns {number} 重新加入队列的消息数量
+   */
+  replayDeadLetters(ids) {
+    const entries = ids
+      ? ids.map((id) => this.deadLetters.get(id)).filter(Boolean)
+      : Array.from(this.deadLetters.values());
+    if (entries.length === 0) return 0;
+
+    const now = new Date().toISOString();
+    entries.forEach(({ deadAt, ...entry }) => {
+      this.deadLetters.delete(entry.id);
+      this.pending.set(entry.id, {
+        ...entry,
+        attempts: 0,
+        nextAttemptAt: now,
+      });
+    });
+    this._saveQueue();
+    this._saveDeadLetters();
+
+    this._log("info", `Replaying ${entries.length} dead-letter notifications`);
+    if (this.timer) {
+      setImmediate(() => this.processQueue());
+    }
+    return entries.length;
+  }
+
+  /**
+   * 按发送上下文和 Expo 单次请求的消息数量分块
+   * 同一块的消息共用一个发送上下文，保证推送历史中的任务名称不变
+   * @private
+   * @param {Array} entries - 队列条目
+   * @returns {Array} 分块列表
+   */
+  _chunkEntries(entries) {
+    const groups = new Map();
+    entries.forEach((entry) => {
+      const groupKey = JSON.stringify(entry.context);
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, []);
+      }
+      groups.get(groupKey).push(entry);
+    });
+
+    const chunks = [];
+    const size = Expo.pushNotificationChunkSizeLimit;
+    groups.forEach((group) => {
+      for (let i = 0; i < group.length; i += size) {
+        chunks.push(group.slice(i, i + size));
+      }
+    });
+    return chunks;
+  }
+
+  /**
+   * 记录发送失败，安排重试或移入死信列表
+   * @private
+   * @param {Array} chunk - 发送失败的队列条目
+   * @param {Error} error - 错误对象
+   */
+  _handleFailure(chunk, error) {
+    const now = Date.now();
+    const retryable = this._isRetryable(error);
+    const retryAfter = this._getRetryAfterMs(error);
+    const dead = [];
+
+    chunk.forEach((entry) => {
+      entry.attempts++;
+      entry.lastError = error.code
+        ? `${error.code}: ${error.message}`
+        : error.message;
+
+      if (!retryable || entry.attempts >= QUEUE_CONFIG.MAX_ATTEMPTS) {
+        this.pending.delete(entry.id);
+        this.deadLetters.set(entry.id, {
+          ...entry,
+          deadAt: new Date(now).toISOString(),
+        });
+        dead.push(entry);
+        return;
+      }
+
+      const backoff = Math.min(
+        QUEUE_CONFIG.BASE_DELAY * 2 ** (entry.attempts - 1),
+        QUEUE_CONFIG.MAX_DELAY
+      );
+      entry.nextAttemptAt = new Date(
+        now + Math.max(backoff, retryAfter)
+      ).toISOString();
+    });
+
+    if (dead.length > 0) {
+      this._log(
+        "warn",
+        `Moved ${dead.length} notifications to the dead-letter list`
+      );
+      this._trimDeadLetters();
+      this._saveDeadLetters();
+      this.emit(
+        "dead-letter",
+        dead.map((entry) => entry.message),
+        error,
+        dead[0].context
+      );
+    }
+  }
+
+  /**
+   * 是否为 Expo 限流错误
+   * @private
+   * @param {Error} error - 错误对象
+   * @returns {boolean} 是否被限流
+   */
+  _isRateLimited(error) {
+    return error.statusCode === 429 || error.code === "PUSH_TOO_MANY_REQUESTS";
+  }
+
+  /**
+   * 错误是否可以通过重试解决
+   * 429 以外的 4xx 错误说明请求本身有误，重试没有意义
+   * @private
+   * @param {Error} error - 错误对象
+   * @returns {boolean} 是否可以重试
+   */
+  _isRetryable(error) {
+    if (this._isRateLimited(error)) return true;
+    return !(error.statusCode >= 400 && error.statusCode < 500);
+  }
+
+  /**
+   * 读取错误中的 Retry-After（秒数或 HTTP 日期）
+   * @private
+   * @param {Error} error - 错误对象
+   * @returns {number} 需要等待的毫秒数，没有时返回 0
+   */
+  _getRetryAfterMs(error) {
+    const headers = error.headers || (error.response && error.response.headers);
+    if (!headers) return 0;
+
+    const value =
+      typeof headers.get === "function"
+        ? headers.get("retry-after")
+        : headers["retry-after"];
+    if (!value) return 0;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * 删除超出数量的最早死信
+   * @private
+   */
+  _trimDeadLetters() {
+    const excess = this.deadLetters.size - QUEUE_CONFIG.MAX_DEAD_LETTERS;
+    if (excess <= 0) return;
+
+    Array.from(this.deadLetters.keys())
+      .slice(0, excess)
+      .forEach((id) => this.deadLetters.delete(id));
+  }
+
+  /**
+   * 保存队列
+   * 加载完成前不写入，避免覆盖已有数据
+   * @private
+   */
+  _saveQueue() {
+    if (!this.loaded) return;
+
+    jsonStorage
+      .write(QUEUE_CONFIG.QUEUE_FILE, Array.from(this.pending.values()))
+      .catch((error) =>
+        this._handleError("Failed to save notification queue", error)
+      );
+  }
+
+  /**
+   * 保存死信列表
+   * 加载完成前不写入，避免覆盖已有数据
+   * @private
+   */
+  _saveDeadLetters() {
+    if (!this.loaded) return;
+
+    jsonStorage
+      .write(
+        QUEUE_CONFIG.DEAD_LETTER_FILE,
+        Array.from(this.deadLetters.values())
+      )
+      .catch((error) =>
+        this._handleError("Failed to save dead-letter notifications", error)
+      );
+  }
+
+  /**
+   * 日志输出
+   * @private
+   * @param {string} level - 日志级别
+   * @param {string} message - 日志消息
+   * @param {Object} [data] - 附加数据
+   */
+  _log(level, message, data = null) {
+    if (!QUEUE_CONFIG.DEBUG && level === "debug") {
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [NotificationQueue] [${level.toUpperCase()}] ${message}`;
+
+    switch (level) {
+      case "error":
+        console.error(logMessage);
+        break;
+      case "warn":
+        console.warn(logMessage);
+        break;
+      case "debug":
+        console.log(logMessage);
+        if (data) console.log(JSON.stringify(data, null, 2));
+        break;
+      default:
+        console.log(logMessage);
+    }
+  }
+
+  /**
+   * 错误处理
+   * @private
+   * @param {string} context - 错误上下文
+   * @param {Error} error - 错误对象
+   */
+  _handleError(context, error) {
+    this._log("error", `${context}:`);
+    this._log("error", `Name: ${error.name}`);
+    this._log("error", `Message: ${error.message}`);
+
+    if (error.stack && QUEUE_CONFIG.DEBUG) {
+      this._log("error", "Stack:", error.stack);
+    }
+  }
+}
+
+// 导出单例
+module.exports = new NotificationQueue();
@@ -0,0 +1,291 @@
+const deviceManager = require("./deviceManager");
+const notificationQueue = require("./notificationQueue");
+const expoPushNotifications = require("../utils/expoPushNotifications");
+const jsonStorage = require("../utils/jsonStorage");
+const timeZone = require("../utils/timeZone");
+
+// 免打扰配置
+const QUIET_HOURS_CONFIG = {
+  // 存储配置
+  DEFERRED_FILE: "deferred-notifications.json",
+
+  // 检查配置
+  RELEASE_INTERVAL: 60 * 1000, // 每分钟检查一次到期的延迟消息
+
+  // 调试选项
+  DEBUG: process.env.NODE_ENV === "development",
+};
+
+/**
+ * 免打扰服务类
+ * 在发送前检查每条消息的接收设备是否处于免打扰时段（按设备时区计算）：
+ * - suppress: 直接丢弃消息
+ * - defer: 保存消息，免打扰时段结束后再发送；同一设备同一来源的消息只保留最新一条
+ *
+ * 发送上下文中 critical 为 true 的重要消息不受限制
+ */
+class QuietHours {
+  constructor() {
+    this.deferred = new Map();
+    this.timer = null;
+    this.loaded = false;
+
+    expoPushNotifications.addSendFilter((messages, context) =>
+      this.filterMessages(messages, context)
+    );
+
+    this._log("info", "Quiet hours service initialized");
+  }
+
+  /**
+   * 启动服务
+   */
+  async start() {
+    try {
+      const stored = await jsonStorage.read(
+        QUIET_HOURS_CONFIG.DEFERRED_FILE,
+        []
+      );
+      stored.forEach((entry) => {
+        if (!this.deferred.has(entry.key)) {
+          this.deferred.set(entry.key, entry);
+        }
+      });
+      this.loaded = true;
+
+      this.timer = setInterval(async () => {
+        await this.releaseDeferred();
+      }, QUIET_HOURS_CONFIG.RELEASE_INTERVAL);
+
+      this._log("info", "Quiet hours service started", {
+        deferred: this.deferred.size,
+      });
+    } catch (error) {
+      this._handleError("Failed to start quiet hours service", error);
+      throw error;
+    }
+  }
+
+  /**
+   * 停止服务
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this._log("info", "Quiet hours service stopped");
+    }
+  }
+
+  /**
+   * 过滤处于免打扰时段的消息
+   * @param {Array} messages - 消息列表
+   * @param {Object} context - 发送上下文
+   * @returns {Array} 需要立即发送的消息
+   */
+  filterMessages(messages, context = {}) {
+    if (context.critical || context.deferred) {
+      return messages;
+    }
+
+    const now = new Date();
+    const stats = { suppressed: 0, deferred: 0 };
+
+    const allowed = messages.filter((message) => {
+      const device = deviceManager.getDevice(message.to);
+      if (!device || !this.isQuiet(device, now)) {
+        return true;
+      }
+
+      if (device.quietHours.mode === "defer") {
+        this._defer(message, context, device, now);
+        stats.deferred++;
+      } else {
+        stats.suppressed++;
+      }
+      return false;
+    });
+
+    if (stats.suppressed > 0 || stats.deferred > 0) {
+      this._log("info", "Messages held back by quiet hours", {
+        job: context.job || null,
+        ...stats,
+      });
+      if (stats.deferred > 0) {
+        this._saveDeferred();
+      }
+    }
+
+    return allowed;
+  }
+
+  /**
+   * 设备当前是否处于免打扰时段
+   * @param {Object} device - 设备信息
+   * @param {Date} [date] - 时间，默认当前时间
+   * @returns {boolean} 是否处于免打扰时段
+   */
+  isQuiet(device, date = new Date()) {
+    if (!device.quietHours) {
+      return false;
+    }
+
+    const { start, end } = this._getQuietWindow(device.quietHours);
+    const minutes = timeZone.getLocalMinutes(
+      date,
+      deviceManager.getDeviceTimezone(device)
+    );
+
+    // 跨越午夜的时段，如 23:00-07:00
+    return start < end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  }
+
+  /**
+   * 发送到期的延迟消息
+   * @returns {Promise<number>} 发送的消息数量
+   */
+  async releaseDeferred() {
+    const now = Date.now();
+    const due = Array.from(this.deferred.values()).filter(
+      (entry) => new Date(entry.releaseAt).getTime() <= now
+    );
+    if (due.length === 0) return 0;
+
+    due.forEach((entry) => this.deferred.delete(entry.key));
+    this._saveDeferred();
+
+    // 按原始发送上下文分组加入发送队列，保证推送历史中的任务名称不变
+    const groups = new Map();
+    due.forEach((entry) => {
+      const groupKey = JSON.stringify(entry.context);
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { context: entry.context, messages: [] });
+      }
+      groups.get(groupKey).messages.push(entry.message);
+    });
+
+    groups.forEach(({ context, messages }) => {
+      notificationQueue.enqueue(messages, { ...context, deferred: true });
+    });
+
+    this._log("info", `Released ${due.length} deferred notifications`);
+    return due.length;
+  }
+
+  /**
+   * 保存延迟消息
+   * 同一设备同一来源（任务名称或消息类型）的消息只保留最新一条
+   * @private
+   * @param {Object} message - 消息
+   * @param {Object} context - 发送上下文
+   * @param {Object} device - 设备信息
+   * @param {Date} now - 当前时间
+   */
+  _defer(message, context, device, now) {
+    const source = context.job || (message.data && message.data.type) || "";
+    const key = `${message.to}:${source}`;
+    const { end } = this._getQuietWindow(device.quietHours);
+    const minutes = timeZone.getLocalMinutes(
+      now,
+      deviceManager.getDeviceTimezone(device)
+    );
+    const waitMinutes = (end - minutes + 24 * 60) % (24 * 60);
+
+    this.deferred.set(key, {
+      key,
+      message,
+      context,
+      deferredAt: now.toISOString(),
+      releaseAt: new Date(
+        Math.floor(now.getTime() / 60000) * 60000 + waitMinutes * 60000
+      ).toISOString(),
+    });
+  }
+
+  /**
+   * 将免打扰时段转换为一天中的分钟数
+   * @private
+   * @param {Object} quietHours - 免打扰时段 { start, end }
+   * @returns {Object} { start, end }
+   */
+  _getQuietWindow(quietHours) {
+    const toMinutes = (time) => {
+      const [hour, minute] = time.split(":").map(Number);
+      return hour * 60 + minute;
+    };
+    return {
+      start: toMinutes(quietHours.start),
+      end: toMinutes(quietHours.end),
+    };
+  }
+
+  /**
+   * 保存延迟消息
+   * 加载完成前不写入，避免覆盖已有数据
+   * @private
+   */
+  _saveDeferred() {
+    if (!this.loaded) return;
+
+    jsonStorage
+      .write(
+        QUIET_HOURS_CONFIG.DEFERRED_FILE,
+        Array.from(this.deferred.values())
+      )
+      .catch((error) =>
+        this._handleError("Failed to save deferred notifications", error)
+      );
+  }
+
+  /**
+   * 日志输出
+   * @private
+   * @param {string} level - 日志级别
+   * @param {string} message - 日志消息
+   * @param {Object} [data] - 附加数据
+   */
+  _log(level, message, data = null) {
+    if (!QUIET_HOURS_CONFIG.DEBUG && level === "debug") {
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [QuietHours] [${level.toUpperCase()}] ${message}`;
+
+    switch (level) {
+      case "error":
+        console.error(logMessage);
+        break;
+      case "warn":
+        console.warn(logMessage);
+        break;
+      case "debug":
+        console.log(logMessage);
+        if (data) console.log(JSON.stringify(data, null, 2));
+        break;
+      default:
+        console.log(logMessage);
+    }
+  }
+
+  /**
+   * 错误处理
+   * @private
+   * @param {string} context - 错误上下文
+   * @param {Error} error - 错误对象
+   */
+  _handleError(context, error) {
+    this._log("error", `${context}:`);
+    this._log("error", `Name: ${error.name}`);
+    this._log("error", `Message: ${error.message}`);
+
+    if (error.stack && QUIET_HOURS_CONFIG.DEBUG) {
+      this._log("error", "Stack:", error.stack);
+    }
+  }
+}
+
+// 导出单例
+module.exports = new QuietHours();
@@ -0,0 +1,479 @@
+const crypto = require("crypto");
+const deviceManager = require("./deviceManager");
+const jsonStorage = require("../utils/jsonStorage");
+
+// 汇率预警配置
+const RATE_ALERT_CONFIG = {
+  // 存储配置
+  ALERTS_FILE: "rate-alerts.json",
+
+  // 规则配置
+  RULE_TYPES: ["target", "percent_change"],
+  MAX_RULES_PER_DEVICE: 20, // 属于用户的设备按用户计算
+  DEFAULT_COOLDOWN_MINUTES: 60,
+
+  // 调试选项
+  DEBUG: process.env.NODE_ENV === "development",
+};
+
+/**
+ * 汇率预警服务类
+ * 管理设备自定义的汇率预警规则，以及提醒模式下各货币对上一次提醒时的汇率
+ * 汇率均为1单位基础货币可兑换的计价货币数量，如 JPY/CNY 为 0.047
+ *
+ * 规则类型：
+ * - target: 汇率穿过目标汇率 target（上穿或下穿）
+ * - percent_change: 汇率相对上一次提醒时的变动超过 percent%
+ */
+class RateAlertManager {
+  constructor() {
+    this.rules = new Map();
+    this.pairStates = new Map();
+    this.loaded = false;
+    this._log("info", "Rate alert service initialized");
+  }
+
+  /**
+   * 加载预警规则和货币对提醒状态
+   */
+  async load() {
+    try {
+      const stored = await jsonStorage.read(RATE_ALERT_CONFIG.ALERTS_FILE, {
+        rules: [],
+        pairs: {},
+      });
+
+      stored.rules.forEach((rule) => {
+        if (!this.rules.has(rule.id)) {
+          this.rules.set(rule.id, rule);
+        }
+      });
+      Object.entries(stored.pairs).forEach(([pair, state]) => {
+        if (!this.pairStates.has(pair)) {
+          this.pairStates.set(pair, state);
+        }
+      });
+
+      this.loaded = true;
+      this._log("info", `Loaded ${stored.rules.length} rate alert rules`);
+    } catch (error) {
+      this._handleError("Failed to load rate alerts", error);
+      throw error;
+    }
+  }
+
+  /**
+   * 创建汇率预警规则
+   * @param {string} token - 推送令牌
+   * @param {Object} options - 规则参数
+   * @param {string} options.pair - 货币对，如 JPY/CNY
+   * @param {string} options.type - 规则类型
+   * @param {number} [options.target] - 目标汇率（target）
+   * @param {number} [options.percent] - 变动幅度阈值（percent_change）
+   * @param {number} [options.cooldownMinutes] - 冷却时间
+   * @param {number|null} [currentRate] - 当前汇率，作为判断穿越和变动的起点
+   * @returns {Object} 创建的规则
+   * @throws {Error} 验证失败时抛出错误
+   */
+  createRule(token, options, currentRate = null) {
+    const device = deviceManager.getDevice(token);
+    if (!device) {
+      throw new Error("Device not found");
+    }
+
+    if (
+      this.getRules({ token }).length >= RATE_ALERT_CONFIG.MAX_RULES_PER_DEVICE
+    ) {
+      throw new Error("Maximum number of rate alert rules reached");
+    }
+
+    const now = new Date().toISOString();
+    const rule = this._buildRule({
+      id: crypto.randomUUID(),
+      token,
+      userId: device.userId || null, // 属于用户的规则对用户的所有设备生效
+      ...this._pickRuleFields(options),
+      lastRate: currentRate,
+      baselineRate: currentRate,
+      lastTriggeredAt: null,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    this._validateRule(rule);
+    this.rules.set(rule.id, rule);
+    this._saveAlerts();
+
+    this._log("info", `Rate alert rule created: ${rule.id}`, rule);
+    return rule;
+  }
+
+  /**
+   * 更新汇率预警规则
+   * @param {string} id - 规则 ID
+   * @param {Object} changes - 要修改的规则参数
+   * @returns {Object|null} 更新后的规则，规则不存在时返回 null
+   * @throws {Error} 验证失败时抛出错误
+   */
+  updateRule(id, changes) {
+    const existing = this.rules.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const fields = this._pickRuleFields(changes);
+    const rule = this._buildRule({
+      ...existing,
+      ...fields,
+      updatedAt: new Date().toISOString(),
+    });
+
+    // 更换货币对后之前记录的汇率不再适用
+    if (fields.pair && fields.pair !== existing.pair) {
+      rule.lastRate = null;
+      rule.baselineRate = null;
+    }
+
+    this._validateRule(rule);
+    this.rules.set(id, rule);
+    this._saveAlerts();
+
+    this._log("info", `Rate alert rule updated: ${id}`, rule);
+    return rule;
+  }
+
+  /**
+   * 删除汇率预警规则
+   * @param {string} id - 规则 ID
+   * @returns {boolean} 是否成功删除
+   */
+  removeRule(id) {
+    if (!this.rules.delete(id)) {
+      return false;
+    }
+
+    this._saveAlerts();
+    this._log("info", `Rate alert rule removed: ${id}`);
+    return true;
+  }
+
+  /**
+   * 获取汇率预警规则
+   * @param {string} id - 规则 ID
+   * @returns {Object|null} 规则
+   */
+  getRule(id) {
+    return this.rules.get(id) || null;
+  }
+
+  /**
+   * 获取汇率预警规则列表
+   * @param {Object} [filters] - 过滤条件
+   * @param {string} [filters.token] - 推送令牌，包含同一用户其他设备创建的规则
+   * @param {string} [filters.userId] - 用户 ID
+   * @param {string} [filters.pair] - 货币对
+   * @returns {Array} 规则列表
+   */
+  getRules(filters = {}) {
+    const pair = filters.pair ? String(filters.pair).toUpperCase() : null;
+    return Array.from(this.rules.values()).filter(
+      (rule) =>
+        (!filters.token || deviceManager.canAccess(filters.token, rule)) &&
+        (!filters.userId || rule.userId === filters.userId) &&
+        (!pair || rule.pair === pair)
+    );
+  }
+
+  /**
+   * 获取设置了预警规则的货币对
+   * @returns {Array} 货币对列表
+   */
+  getRulePairs() {
+    return [...new Set(this.getRules().map((rule) => rule.pair))];
+  }
+
+  /**
+   * 根据最新汇率检查货币对的所有规则，并记录本次检查的汇率
+   * @param {string} pair - 货币对
+   * @param {number} rate - 当前汇率
+   * @returns {Array} 触发的规则及说明 [{ rule, detail }]
+   */
+  evaluate(pair, rate) {
+    const now = Date.now();
+    const triggered = [];
+
+    for (const rule of this.getRules({ pair })) {
+      // 没有接收设备的规则不再触发
+      if (deviceManager.getRecipientTokens(rule).length === 0) continue;
+
+      const inCooldown =
+        rule.lastTriggeredAt &&
+        now - new Date(rule.lastTriggeredAt).getTime() <
+          rule.cooldownMinutes * 60 * 1000;
+
+      const detail = inCooldown ? null : this._matchRule(rule, rate);
+      if (detail) {
+        triggered.push({ rule, detail });
+      }
+
+      rule.lastRate = rate;
+      if (rule.baselineRate === null) {
+        rule.baselineRate = rate;
+      }
+    }
+
+    this._saveAlerts();
+    return triggered;
+  }
+
+  /**
+   * 记录规则已触发，开始冷却
+   * 变动幅度从本次提醒时的汇率重新计算
+   * @param {Array} ids - 规则 ID 列表
+   * @param {number} rate - 触发时的汇率
+   */
+  markTriggered(ids, rate) {
+    const now = new Date().toISOString();
+
+    ids.forEach((id) => {
+      const rule = this.rules.get(id);
+      if (rule) {
+        rule.lastTriggeredAt = now;
+        rule.baselineRate = rate;
+      }
+    });
+
+    if (ids.length > 0) {
+      this._saveAlerts();
+    }
+  }
+
+  /**
+   * 检查货币对相对上一次提醒时的变动幅度（提醒模式使用）
+   * 第一次检查时只记录汇率作为起点
+   * @param {string} pair - 货币对
+   * @param {number} rate - 当前汇率
+   * @param {number} thresholdPercent - 变动幅度阈值
+   * @param {number} cooldownMinutes - 冷却时间
+   * @returns {Object|null} 变动说明 { change, baselineRate }，未达到阈值时返回 null
+   */
+  checkPairChange(pair, rate, thresholdPercent, cooldownMinutes) {
+    const state = this.pairStates.get(pair);
+    if (!state) {
+      this.pairStates.set(pair, {
+        lastNotifiedRate: rate,
+        lastNotifiedAt: null,
+      });
+      this._saveAlerts();
+      return null;
+    }
+
+    if (
+      state.lastNotifiedAt &&
+      Date.now() - new Date(state.lastNotifiedAt).getTime() <
+        cooldownMinutes * 60 * 1000
+    ) {
+      return null;
+    }
+
+    const change =
+      ((rate - state.lastNotifiedRate) / state.lastNotifiedRate) * 100;
+    return Math.abs(change) >= thresholdPercent
+      ? { change, baselineRate: state.lastNotifiedRate }
+      : null;
+  }
+
+  /**
+   * 记录货币对已发送提醒
+   * @param {string} pair - 货币对
+   * @param {number} rate - 提醒时的汇率
+   */
+  markPairNotified(pair, rate) {
+    this.pairStates.set(pair, {
+      lastNotifiedRate: rate,
+      lastNotifiedAt: new Date().toISOString(),
+    });
+    this._saveAlerts();
+  }
+
+  /**
+   * 获取货币对的提醒状态
+   * @param {string} pair - 货币对
+   * @returns {Object|null} { lastNotifiedRate, lastNotifiedAt }
+   */
+  getPairState(pair) {
+    return this.pairStates.get(pair) || null;
+  }
+
+  /**
+   * 判断单条规则是否满足触发条件
+   * @private
+   * @param {Object} rule - 规则
+   * @param {number} rate - 当前汇率
+   * @returns {Object|null} 触发说明，未触发时返回 null
+   */
+  _matchRule(rule, rate) {
+    switch (rule.type) {
+      case "target": {
+        if (rule.lastRate === null) return null;
+
+        if (rule.lastRate < rule.target && rate >= rule.target) {
+          return { target: rule.target, direction: "up" };
+        }
+        if (rule.lastRate > rule.target && rate <= rule.target) {
+          return { target: rule.target, direction: "down" };
+        }
+        return null;
+      }
+      case "percent_change": {
+        if (!rule.baselineRate) return null;
+
+        const change = ((rate - rule.baselineRate) / rule.baselineRate) * 100;
+        return Math.abs(change) >= rule.percent
+          ? { change, baselineRate: rule.baselineRate }
+          : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 提取可由用户设置的规则字段
+   * @private
+   * @param {Object} options - 规则参数
+   * @returns {Object} 规则字段
+   */
+  _pickRuleFields(options = {}) {
+    const fields = {};
+    ["pair", "type", "target", "percent", "cooldownMinutes"].forEach((key) => {
+      if (options[key] !== undefined) {
+        fields[key] = options[key];
+      }
+    });
+    if (typeof fields.pair === "string") {
+      fields.pair = fields.pair.toUpperCase();
+    }
+    return fields;
+  }
+
+  /**
+   * 补全规则默认值
+   * @private
+   * @param {Object} rule - 规则
+   * @returns {Object} 规则
+   */
+  _buildRule(rule) {
+    return {
+      ...rule,
+      target: rule.type === "target" ? rule.target : null,
+      percent: rule.type === "percent_change" ? rule.percent : null,
+      cooldownMinutes:
+        rule.cooldownMinutes === undefined || rule.cooldownMinutes === null
+          ? RATE_ALERT_CONFIG.DEFAULT_COOLDOWN_MINUTES
+          : rule.cooldownMinutes,
+    };
+  }
+
+  /**
+   * 验证规则
+   * @private
+   * @param {Object} rule - 规则
+   * @throws {Error} 验证失败时抛出错误
+   */
+  _validateRule(rule) {
+    if (!/^[A-Z]{3}\/[A-Z]{3}$/.test(rule.pair || "")) {
+      throw new Error(`Invalid currency pair: ${rule.pair}`);
+    }
+
+    if (!RATE_ALERT_CONFIG.RULE_TYPES.includes(rule.type)) {
+      throw new Error(`Unsupported rate alert rule type: ${rule.type}`);
+    }
+
+    if (
+      rule.type === "target" &&
+      !(typeof rule.target === "number" && rule.target > 0)
+    ) {
+      throw new Error("Target rate must be a positive number");
+    }
+
+    if (
+      rule.type === "percent_change" &&
+      !(typeof rule.percent === "number" && rule.percent > 0)
+    ) {
+      throw new Error("Alert percent must be a positive number");
+    }
+
+    if (
+      !(typeof rule.cooldownMinutes === "number" && rule.cooldownMinutes >= 0)
+    ) {
+      throw new Error("Alert cooldown must be a non-negative number");
+    }
+  }
+
+  /**
+   * 保存预警规则和货币对提醒状态
+   * 加载完成前不写入，避免覆盖已有数据
+   * @private
+   */
+  _saveAlerts() {
+    if (!this.loaded) return;
+
+    jsonStorage
+      .write(RATE_ALERT_CONFIG.ALERTS_FILE, {
+        rules: Array.from(this.rules.values()),
+        pairs: Object.fromEntries(this.pairStates),
+      })
+      .catch((error) => this._handleError("Failed to save rate alerts", error));
+  }
+
+  /**
+   * 日志输出
+   * @private
+   * @param {string} level - 日志级别
+   * @param {string} message - 日志消息
+   * @param {Object} [data] - 附加数据
+   */
+  _log(level, message, data = null) {
+    if (!RATE_ALERT_CONFIG.DEBUG && level === "debug") {
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [RateAlerts] [${level.toUpperCase()}] ${message}`;
+
+    switch (level) {
+      case "error":
+        console.error(logMessage);
+        break;
+      case "warn":
+        console.warn(logMessage);
+        break;
+      case "debug":
+        console.log(logMessage);
+        if (data) console.log(JSON.stringify(data, null, 2));
+        break;
+      default:
+        console.log(logMessage);
+    }
+  }
+
+  /**
+   * 错误处理
+   * @private
+   * @param {string} context - 错误上下文
+   * @param {Error} error - 错误对象
+   */
+  _handleError(context, error) {
+    this._log("error", `${context}:`);
+    this._log("error", `Name: ${error.name}`);
+    this._log("error", `Message: ${error.message}`);
+
+    if (error.stack && RATE_ALERT_CONFIG.DEBUG) {
+      this._log("error", "Stack:", error.stack);
+    }
+  }
+}
+
+// 导出单例
+module.exports = new RateAlertManager();
@@ -0,0 +1,310 @@
+const deviceManager = require("./deviceManager");
+const notificationHistory = require("./notificationHistory");
+const expoPushNotifications = require("../utils/expoPushNotifications");
+const jsonStorage = require("../utils/jsonStorage");
+
+// 推送回执检查配置
+const RECEIPT_CONFIG = {
+  // 存储配置
+  RECEIPTS_FILE: "push-receipts.json",
+
+  // 检查配置
+  CHECK_INTERVAL: 5 * 60 * 1000, // 每5分钟检查一次
+  RECEIPT_DELAY: 15 * 60 * 1000, // 发送15分钟后再查询回执
+  RECEIPT_EXPIRY: 24 * 60 * 60 * 1000, // Expo 只保留24小时内的回执
+  RETENTION_DAYS: 7, // 已完成记录的保留天数
+
+  // 需要删除设备的错误类型
+  DEAD_TOKEN_ERRORS: ["DeviceNotRegistered"],
+
+  // 调试选项
+  DEBUG: process.env.NODE_ENV === "development",
+};
+
+/**
+ * 推送回执检查服务类
+ * 记录发送凭证，延迟查询推送回执，并清理已失效的设备令牌
+ */
+class ReceiptChecker {
+  constructor() {
+    this.receipts = new Map();
+    this.timer = null;
+
+    expoPushNotifications.on("tickets", (entries) => this.track(entries));
+
+    this._log("info", "Receipt checker service initialized");
+  }
+
+  /**
+   * 启动服务
+   */
+  async start() {
+    try {
+      const stored = await jsonStorage.read(RECEIPT_CONFIG.RECEIPTS_FILE, []);
+      stored.forEach((record) => {
+        if (!this.receipts.has(record.ticketId)) {
+          this.receipts.set(record.ticketId, record);
+        }
+      });
+
+      this.timer = setInterval(async () => {
+        await this.checkReceipts();
+      }, RECEIPT_CONFIG.CHECK_INTERVAL);
+
+      this._log("info", "Receipt checker service started", {
+        pending: this._getPendingRecords().length,
+        checkInterval: "5 minutes",
+      });
+    } catch (error) {
+      this._handleError("Failed to start receipt checker service", error);
+      throw error;
+    }
+  }
+
+  /**
+   * 停止服务
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this._log("info", "Receipt checker service stopped");
+    }
+  }
+
+  /**
+   * 记录发送凭证
+   * @param {Array} entries - 凭证列表 [{ ticket, message }]
+   */
+  track(entries) {
+    const now = new Date().toISOString();
+    let tracked = 0;
+
+    for (const { ticket, message } of entries) {
+      // 发送阶段就失败的凭证没有 id，直接处理错误
+      if (ticket.status === "error") {
+        this._handleDeliveryError(message.to, ticket.details, ticket.message);
+        continue;
+      }
+
+      if (!ticket.id) continue;
+
+      this.receipts.set(ticket.id, {
+        ticketId: ticket.id,
+        token: message.to,
+        status: "pending",
+        error: null,
+        sentAt: now,
+        checkedAt: null,
+      });
+      tracked++;
+    }
+
+    if (tracked > 0) {
+      this._saveReceipts();
+      this._log("debug", `Tracking ${tracked} push tickets`);
+    }
+  }
+
+  /**
+   * 查询到期的推送回执并更新投递状态
+   * @returns {Promise<Object>} 检查结果统计
+   */
+  async checkReceipts() {
+    const stats = { checked: 0, ok: 0, error: 0, expired: 0 };
+
+    try {
+      const now = Date.now();
+      const due = this._getPendingRecords().filter(
+        (record) =>
+          now - new Date(record.sentAt).getTime() >=
+          RECEIPT_CONFIG.RECEIPT_DELAY
+      );
+
+      if (due.length > 0) {
+        const receiptChunks =
+          await expoPushNotifications.getPushNotificationReceipts(
+            due.map((record) => ({ id: record.ticketId }))
+          );
+        const receipts = Object.assign({}, ...receiptChunks);
+        const checkedAt = new Date().toISOString();
+
+        for (const record of due) {
+          const receipt = receipts[record.ticketId];
+
+          if (!receipt) {
+            // 回执尚未生成，超过保留期限后不再查询
+            if (
+              now - new Date(record.sentAt).getTime() >=
+              RECEIPT_CONFIG.RECEIPT_EXPIRY
+            ) {
+              record.status = "expired";
+              record.checkedAt = checkedAt;
+              notificationHistory.updateReceipt(record.ticketId, "expired");
+              stats.expired++;
+            }
+            continue;
+          }
+
+          stats.checked++;
+          record.checkedAt = checkedAt;
+
+          if (receipt.status === "ok") {
+            record.status = "ok";
+            notificationHistory.updateReceipt(record.ticketId, "ok");
+            stats.ok++;
+          } else {
+            record.status = "error";
+            record.error = (receipt.details && receipt.details.error) || null;
+            notificationHistory.updateReceipt(
+              record.ticketId,
+              "error",
+              record.error || receipt.message
+            );
+            stats.error++;
+            await this._handleDeliveryError(
+              record.token,
+              receipt.details,
+              receipt.message
+            );
+          }
+        }
+      }
+
+      this._cleanupRecords();
+      this._saveReceipts();
+
+      if (stats.checked > 0 || stats.expired > 0) {
+        this._log("info", "Push receipts checked", stats);
+      }
+    } catch (error) {
+      this._handleError("Failed to check push receipts", error);
+    }
+
+    return stats;
+  }
+
+  /**
+   * 获取凭证的投递状态
+   * @param {string} ticketId - 凭证 ID
+   * @returns {Object|null} 投递记录
+   */
+  getReceipt(ticketId) {
+    return this.receipts.get(ticketId) || null;
+  }
+
+  /**
+   * 处理投递错误
+   * 设备已卸载应用或令牌失效时删除设备
+   * @private
+   * @param {string} token - 推送令牌
+   * @param {Object} details - 错误详情
+   * @param {string} message - 错误消息
+   */
+  async _handleDeliveryError(token, details, message) {
+    const errorType = details && details.error;
+    this._log("warn", `Push delivery failed for ${token}: ${message}`);
+
+    if (!RECEIPT_CONFIG.DEAD_TOKEN_ERRORS.includes(errorType)) {
+      return;
+    }
+
+    try {
+      const removed = await deviceManager.removeDevice(token);
+      if (removed) {
+        this._log("info", `Removed unregistered device: ${token}`);
+      }
+    } catch (error) {
+      this._handleError(`Failed to remove device: ${token}`, error);
+    }
+  }
+
+  /**
+   * 获取待查询的记录
+   * @private
+   * @returns {Array} 记录列表
+   */
+  _getPendingRecords() {
+    return Array.from(this.receipts.values()).filter(
+      (record) => record.status === "pending"
+    );
+  }
+
+  /**
+   * 清理过期的已完成记录
+   * @private
+   */
+  _cleanupRecords() {
+    const expiryTime =
+      Date.now() - RECEIPT_CONFIG.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+    for (const [ticketId, record] of this.receipts.entries()) {
+      if (
+        record.status !== "pending" &&
+        new Date(record.sentAt).getTime() < expiryTime
+      ) {
+        this.receipts.delete(ticketId);
+      }
+    }
+  }
+
+  /**
+   * 保存回执记录
+   * @private
+   */
+  _saveReceipts() {
+    jsonStorage
+      .write(RECEIPT_CONFIG.RECEIPTS_FILE, Array.from(this.receipts.values()))
+      .catch((error) => this._handleError("Failed to save receipts", error));
+  }
+
+  /**
+   * 日志输出
+   * @private
+   * @param {string} level - 日志级别
+   * @param {string} message - 日志消息
+   * @param {Object} [data] - 附加数据
+   */
+  _log(level, message, data = null) {
+    if (!RECEIPT_CONFIG.DEBUG && level === "debug") {
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [ReceiptChecker] [${level.toUpperCase()}] ${message}`;
+
+    switch (level) {
+      case "error":
+        console.error(logMessage);
+        break;
+      case "warn":
+        console.warn(logMessage);
+        break;
+      case "debug":
+        console.log(logMessage);
+        if (data) console.log(JSON.stringify(data, null, 2));
+        break;
+      default:
+        console.log(logMessage);
+    }
+  }
+
+  /**
+   * 错误处理
+   * @private
+   * @param {string} context - 错误上下文
+   * @param {Error} error - 错误对象
+   */
+  _handleError(context, error) {
+    this._log("error", `${context}:`);
+    this._log("error", `Name: ${error.name}`);
+    this._log("error", `Message: ${error.message}`);
+
+    if (error.stack && RECEIPT_CONFIG.DEBUG) {
+      this._log("error", "Stack:", error.stack);
+    }
+  }
+}
+
+// 导出单例
+module.exports = new ReceiptChecker();
@@ -1,11 +1,37 @@
 const schedule = require("node-schedule");
+const cronParser = require("cron-parser");
 const expoPushNotifications = require("../utils/expoPushNotifications");
+const deviceManager = require("./deviceManager");
+const notificationQueue = require("./notificationQueue");
+const jobRuns = require("./jobRuns");
+const jsonStorage = require("../utils/jsonStorage");
+const timeZone = require("../utils/timeZone");
 
 // 定时任务配置
 const SCHEDULE_CONFIG = {
   // 任务配置
   DEFAULT_TIMEZONE: "Asia/Shanghai",
   MAX_JOBS: 100,
+  DEFAULT_MISSED_RUN_POLICY: "skip",
+  MISSED_RUN_POLICIES: ["skip", "catchup"],
+  AUDIENCE_TYPES: [
+    "all",
+    "platform",
+    "tag",
+    "symbol",
+    "topic",
+    "user",
+    "tokens",
+  ],
+  LOCAL_TIME_STEP: 15, // 所有时区偏移都是15分钟的整数倍，按设备时区推送时每15分钟检查一次
+
+  // 预览配置
+  DEFAULT_PREVIEW_INVOCATIONS: 5,
+  MAX_PREVIEW_INVOCATIONS: 50,
+  MAX_PREVIEW_MESSAGES: 100, // 预览最多渲染的消息数量
+
+  // 存储配置
+  JOBS_FILE: "scheduled-jobs.json",
 
   // 汇率更新配置
   EXCHANGE_RATE_INTERVAL: "*/30 * * * * *", // 每30秒
@@ -20,47 +46,86 @@ const SCHEDULE_CONFIG = {
 class ScheduledNotifications {
   constructor() {
     this.jobs = new Map();
+    this.definitions = new Map();
+    this.templates = new Map();
     this._log("info", "Scheduled notifications service initialized");
   }
 
+  /**
+   * 注册消息模板
+   * 模板在每次任务触发时执行，用于生成实时的消息内容
+   * @param {string} name - 模板名称
+   * @param {Function} provider - 内容提供函数，接收模板参数和设备信息，
+   *   返回消息内容字符串或 { title, body, data } 对象；获取数据失败时应抛出错误，
+   *   本次执行记为失败且不发送任何消息
+   * @param {Object} [options] - 模板选项
+   * @param {Function} [options.groupBy] - 按设备生成内容时的分组函数，
+   *   接收设备信息和模板参数，返回分组键；同组设备共用一次渲染结果
+   */
+  registerTemplate(name, provider, options = {}) {
+    if (!name || typeof name !== "string") {
+      throw new Error("Template name is required and must be a string");
+    }
+
+    if (typeof provider !== "function") {
+      throw new Error("Template provider must be a function");
+    }
+
+    if (options.groupBy && typeof options.groupBy !== "function") {
+      throw new Error("Template groupBy must be a function");
+    }
+
+    this.templates.set(name, { provider, groupBy: options.groupBy || null });
+    this._log("debug", `Template registered: ${name}`);
+  }
+
   /**
    * 调度每日推送
    * @param {string} name - 任务名称
    * @param {number} hour - 小时
    * @param {number} minute - 分钟
-   * @param {Array} pushTokens - 推送令牌列表
+   * @param {Object|Array} audience - 推送受众，受众描述对象或推送令牌列表
    * @param {string} title - 消息标题
-   * @param {string} body - 消息内容
+   * @param {string|Function|Object} body - 消息内容，可以是固定文本、
+   *   异步内容提供函数或 { template, params } 模板引用
    * @param {Object} data - 附加数据
+   * @param {Object} [options] - 任务选项
+   * @param {string} [options.timezone] - 时区
+   * @param {string} [options.missedRunPolicy] - 错过执行时的策略（skip 或 catchup）
+   * @param {boolean} [options.persist] - 是否持久化任务定义
+   * @param {boolean} [options.localTime] - 是否按每个设备自己的时区在 hour:minute 推送，
+   *   开启后忽略 timezone
+   * @param {boolean} [options.critical] - 是否为重要消息，重要消息不受免打扰时段限制
    * @returns {Object} 任务对象
    */
-  scheduleDaily(name, hour, minute, pushTokens, title, body, data = {}) {
-    this._validateJobName(name);
-    this._validateTokens(pushTokens);
-
-    const rule = new schedule.RecurrenceRule();
-    rule.hour = hour;
-    rule.minute = minute;
-    rule.tz = SCHEDULE_CONFIG.DEFAULT_TIMEZONE;
-
-    const job = schedule.scheduleJob(name, rule, async () => {
-      try {
-        await expoPushNotifications.sendNotifications(
-          pushTokens.map((token) =>
-            expoPushNotifications.createMessage(token, title, body, data)
-          )
-        );
-        this._log("info", `Daily notification sent: ${name}`);
-      } catch (error) {
-        this._handleError(`Failed to send daily notification: ${name}`, error);
-      }
-    });
+  scheduleDaily(
+    name,
+    hour,
+    minute,
+    audience,
+    title,
+    body,
+    data = {},
+    options = {}
+  ) {
+    const job = this._registerJob(
+      this._buildDailyDefinition(
+        name,
+        hour,
+        minute,
+        audience,
+        title,
+        body,
+        data,
+        options
+      )
+    );
 
-    this.jobs.set(name, job);
     this._log("info", `Daily notification scheduled: ${name}`, {
       hour,
       minute,
-      tokens: pushTokens.length,
+      localTime: Boolean(options.localTime),
+      audience: this._normalizeAudience(audience),
     });
 
     return job;
@@ -70,70 +135,1381 @@ class ScheduledNotifications {
    * 调度自定义推送
    * @param {string} name - 任务名称
    * @param {string} cronExpression - Cron表达式
-   * @param {Array} pushTokens - 推送令牌列表
+   * @param {Object|Array} audience - 推送受众，受众描述对象或推送令牌列表
    * @param {string} title - 消息标题
-   * @param {string} body - 消息内容
+   * @param {string|Function|Object} body - 消息内容，可以是固定文本、
+   *   异步内容提供函数或 { template, params } 模板引用
    * @param {Object} data - 附加数据
+   * @param {Object} [options] - 任务选项，同 scheduleDaily
    * @returns {Object} 任务对象
    */
-  scheduleCustom(name, cronExpression, pushTokens, title, body, data = {}) {
-    this._validateJobName(name);
-    this._validateTokens(pushTokens);
-    this._validateCronExpression(cronExpression);
-
-    const job = schedule.scheduleJob(name, cronExpression, async () => {
-      try {
-        await expoPushNotifications.sendNotifications(
-          pushTokens.map((token) =>
-            expoPushNotifications.createMessage(token, title, body, data)
-          )
-        );
-        this._log("info", `Custom notification sent: ${name}`);
-      } catch (error) {
-        this._handleError(`Failed to send custom notification: ${name}`, error);
-      }
-    });
+  scheduleCustom(
+    name,
+    cronExpression,
+    audience,
+    title,
+    body,
+    data = {},
+    options = {}
+  ) {
+    const job = this._registerJob(
+      this._buildCustomDefinition(
+        name,
+        cronExpression,
+        audience,
+        title,
+        body,
+        data,
+        options
+      )
+    );
 
-    this.jobs.set(name, job);
     this._log("info", `Custom notification scheduled: ${name}`, {
       cron: cronExpression,
-      tokens: pushTokens.length,
+      audience: this._normalizeAudience(audience),
+    });
+
+    return job;
+  }
+
+  /**
+   * 调度一次性推送，执行后自动删除任务
+   * @param {string} name - 任务名称
+   * @param {string} at - ISO 格式的执行时间；不带时区偏移时按 options.timezone 解析
+   * @param {Object|Array} audience - 推送受众，受众描述对象或推送令牌列表
+   * @param {string} title - 消息标题
+   * @param {string|Function|Object} body - 消息内容，同 scheduleDaily
+   * @param {Object} data - 附加数据
+   * @param {Object} [options] - 任务选项，同 scheduleDaily（不支持 localTime）；
+   *   missedRunPolicy 为 catchup 时，停机期间错过的任务在服务启动时补发
+   * @returns {Object} 任务对象
+   * @throws {Error} 验证失败或执行时间已过时抛出错误
+   */
+  scheduleOnce(name, at, audience, title, body, data = {}, options = {}) {
+    const definition = this._buildOnceDefinition(
+      name,
+      at,
+      audience,
+      title,
+      body,
+      data,
+      options
+    );
+    const job = this._registerJob(definition);
+
+    this._log("info", `One-off notification scheduled: ${name}`, {
+      at: definition.rule.at,
+      audience: definition.targets,
     });
 
     return job;
   }
 
   /**
-   * 取消任务
+   * 预览每日推送，不创建任务也不发送
+   * 参数同 scheduleDaily，另外 options.invocations 为预览的执行次数
+   * @returns {Promise<Object>} 预览结果，见 _preview
+   * @throws {Error} 验证失败时抛出错误
+   */
+  async previewDaily(
+    name,
+    hour,
+    minute,
+    audience,
+    title,
+    body,
+    data = {},
+    options = {}
+  ) {
+    return this._preview(
+      this._buildDailyDefinition(
+        name,
+        hour,
+        minute,
+        audience,
+        title,
+        body,
+        data,
+        options
+      ),
+      options.invocations
+    );
+  }
+
+  /**
+   * 预览自定义推送，不创建任务也不发送
+   * 参数同 scheduleCustom，另外 options.invocations 为预览的执行次数
+   * @returns {Promise<Object>} 预览结果，见 _preview
+   * @throws {Error} 验证失败时抛出错误
+   */
+  async previewCustom(
+    name,
+    cronExpression,
+    audience,
+    title,
+    body,
+    data = {},
+    options = {}
+  ) {
+    return this._preview(
+      this._buildCustomDefinition(
+        name,
+        cronExpression,
+        audience,
+        title,
+        body,
+        data,
+        options
+      ),
+      options.invocations
+    );
+  }
+
+  /**
+   * 预览一次性推送，不创建任务也不发送
+   * 参数同 scheduleOnce，另外 options.invocations 为预览的执行次数
+   * @returns {Promise<Object>} 预览结果，见 _preview
+   * @throws {Error} 验证失败时抛出错误
+   */
+  async previewOnce(name, at, audience, title, body, data = {}, options = {}) {
+    return this._preview(
+      this._buildOnceDefinition(name, at, audience, title, body, data, options),
+      options.invocations
+    );
+  }
+
+  /**
+   * 预览已有任务
+   * @param {string} name - 任务名称
+   * @param {number} [invocations] - 预览的执行次数
+   * @returns {Promise<Object|null>} 预览结果，任务不存在时返回 null
+   */
+  async previewJob(name, invocations) {
+    const definition = this.definitions.get(name);
+    return definition ? this._preview(definition, invocations) : null;
+  }
+
+  /**
+   * 预览任务修改后的效果，不修改任务
+   * @param {string} name - 任务名称
+   * @param {Object} changes - 要修改的字段，见 updateJob
+   * @param {number} [invocations] - 预览的执行次数
+   * @returns {Promise<Object|null>} 预览结果，任务不存在时返回 null
+   * @throws {Error} 验证失败时抛出错误
+   */
+  async previewUpdate(name, changes, invocations) {
+    const current = this.definitions.get(name);
+    if (!current) {
+      return null;
+    }
+
+    return this._preview(
+      this._applyChanges(current, changes || {}),
+      invocations
+    );
+  }
+
+  /**
+   * 立即执行任务，不影响原有的调度
+   * 暂停的任务也可以手动执行；按设备时区推送的任务发送给所有受众设备
+   * @param {string} name - 任务名称
+   * @returns {Promise<Object|null>} { name, queued }，任务不存在时返回 null
+   * @throws {Error} 生成或发送消息失败时抛出错误
+   */
+  async triggerJob(name) {
+    const definition = this.definitions.get(name);
+    if (!definition) {
+      return null;
+    }
+
+    const queued = await this._executeJob(definition, { manual: true });
+    this._log("info", `Job triggered manually: ${name}`, { queued });
+    return { name, queued };
+  }
+
+  /**
+   * 取消任务，同时删除任务的执行记录
+   * 已执行完的一次性任务只剩执行记录，取消时删除执行记录
    * @param {string} name - 任务名称
    * @returns {boolean} 是否成功取消
    */
   cancelJob(name) {
-    const job = this.jobs.get(name);
-    if (job) {
-      job.cancel();
-      this.jobs.delete(name);
-      this._log("info", `Job cancelled: ${name}`);
+    if (!this.definitions.has(name)) {
+      if (jobRuns.getRuns(name).length === 0) {
+        return false;
+      }
+
+      jobRuns.removeJob(name);
+      this._log("info", `Runs of completed job removed: ${name}`);
       return true;
     }
-    return false;
+
+    this._removeJob(name);
+    jobRuns.removeJob(name);
+    this._log("info", `Job cancelled: ${name}`);
+    return true;
+  }
+
+  /**
+   * 获取任务的完整定义和状态
+   * @param {string} name - 任务名称
+   * @returns {Object|null} 任务信息，任务不存在时返回 null
+   */
+  getJob(name) {
+    const definition = this.definitions.get(name);
+    return definition ? this._describeJob(definition) : null;
+  }
+
+  /**
+   * 修改任务
+   * 任务名称和类型不能修改；未提供的字段保持不变，暂停的任务修改后仍然暂停
+   * @param {string} name - 任务名称
+   * @param {Object} changes - 要修改的字段
+   * @param {number} [changes.hour] - 小时（每日任务）
+   * @param {number} [changes.minute] - 分钟（每日任务）
+   * @param {boolean} [changes.localTime] - 是否按设备时区推送（每日任务）
+   * @param {string} [changes.cronExpression] - Cron表达式（自定义任务）
+   * @param {string} [changes.at] - 执行时间（一次性任务），不带时区偏移时按 timezone 解析
+   * @param {Object|Array} [changes.audience] - 推送受众
+   * @param {string} [changes.title] - 消息标题
+   * @param {string|Object} [changes.body] - 消息内容或模板引用
+   * @param {Object} [changes.data] - 附加数据
+   * @param {string} [changes.timezone] - 时区
+   * @param {string} [changes.missedRunPolicy] - 错过执行时的策略
+   * @param {boolean} [changes.critical] - 是否为重要消息
+   * @returns {Object|null} 修改后的任务信息，任务不存在时返回 null
+   * @throws {Error} 验证失败时抛出错误
+   */
+  updateJob(name, changes) {
+    const current = this.definitions.get(name);
+    if (!current) {
+      return null;
+    }
+
+    const definition = this._applyChanges(current, changes || {});
+    this._replaceDefinition(current, definition);
+
+    this._log("info", `Job updated: ${name}`, {
+      rule: definition.rule,
+      audience: definition.targets,
+    });
+    return this._describeJob(definition);
+  }
+
+  /**
+   * 暂停任务
+   * 保留任务定义，恢复前不再触发
+   * @param {string} name - 任务名称
+   * @returns {Object|null} 任务信息，任务不存在时返回 null
+   */
+  pauseJob(name) {
+    const current = this.definitions.get(name);
+    if (!current) {
+      return null;
+    }
+
+    if (!current.paused) {
+      const now = new Date().toISOString();
+      this._replaceDefinition(current, {
+        ...current,
+        paused: true,
+        pausedAt: now,
+        updatedAt: now,
+      });
+      this._log("info", `Job paused: ${name}`);
+    }
+
+    return this.getJob(name);
+  }
+
+  /**
+   * 恢复暂停的任务
+   * 暂停期间错过的执行不会补发
+   * @param {string} name - 任务名称
+   * @returns {Object|null} 任务信息，任务不存在时返回 null
+   */
+  resumeJob(name) {
+    const current = this.definitions.get(name);
+    if (!current) {
+      return null;
+    }
+
+    if (current.paused) {
+      if (current.type === "once" && new Date(current.rule.at) <= new Date()) {
+        throw new Error(
+          `One-off job '${name}' was scheduled for ${current.rule.at}, which has passed`
+        );
+      }
+
+      this._replaceDefinition(current, {
+        ...current,
+        paused: false,
+        pausedAt: null,
+        updatedAt: new Date().toISOString(),
+      });
+      this._log("info", `Job resumed: ${name}`);
+    }
+
+    return this.getJob(name);
   }
 
   /**
-   * 获取活动的任务
-   * @returns {Object} 活动任务列表
+   * 获取所有任务，包括暂停的任务
+   * @returns {Object} 任务列表，暂停的任务 nextInvocation 为 null；
+   *   lastRun、lastStatus 和 failureStreak 见 jobRuns.getSummary
    */
   getActiveJobs() {
     const activeJobs = {};
-    for (const [name, job] of this.jobs.entries()) {
+    for (const [name, definition] of this.definitions.entries()) {
+      const job = this.jobs.get(name);
       activeJobs[name] = {
         name,
-        nextInvocation: job.nextInvocation(),
+        status: definition.paused ? "paused" : "active",
+        nextInvocation: job ? job.nextInvocation() : null,
+        ...jobRuns.getSummary(name),
       };
     }
     return activeJobs;
   }
 
+  /**
+   * 获取任务的执行记录，最新的在前
+   * 已执行完并自动删除的一次性任务在执行记录保留期间（7天）仍然可以查询
+   * @param {string} name - 任务名称
+   * @param {number} [limit] - 最多返回的数量
+   * @returns {Array|null} 执行记录列表，任务不存在且没有执行记录时返回 null
+   */
+  getJobRuns(name, limit) {
+    const runs = jobRuns.getRuns(name, limit);
+    if (!this.definitions.has(name) && runs.length === 0) {
+      return null;
+    }
+    return runs;
+  }
+
+  /**
+   * 验证每日任务的执行时间
+   * @param {number} hour - 小时
+   * @param {number} minute - 分钟
+   * @throws {Error} 验证失败时抛出错误
+   */
+  validateTime(hour, minute) {
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+      throw new Error(
+        `Invalid hour: ${JSON.stringify(hour)}, expected an integer 0-23`
+      );
+    }
+
+    if (!Number.isInteger(minute) || minute < 0 || minute > 59) {
+      throw new Error(
+        `Invalid minute: ${JSON.stringify(minute)}, expected an integer 0-59`
+      );
+    }
+  }
+
+  /**
+   * 验证Cron表达式
+   * 使用与 node-schedule 相同的 cron-parser 解析，支持5位和6位（含秒）表达式
+   * @param {string} expression - Cron表达式
+   * @throws {Error} 验证失败时抛出错误
+   */
+  validateCronExpression(expression) {
+    if (!expression || typeof expression !== "string") {
+      throw new Error("Cron expression is required and must be a string");
+    }
+
+    try {
+      cronParser.parseExpression(expression);
+    } catch (error) {
+      throw new Error(
+        `Invalid cron expression: ${expression} (${error.message})`
+      );
+    }
+  }
+
+  /**
+   * 恢复持久化的任务
+   * 服务启动时调用，重新注册已保存的任务，并根据各任务的策略处理停机期间错过的执行
+   * @returns {Promise<Object>} 恢复结果 { restored, missed, failed }
+   */
+  async restoreJobs() {
+    const report = { restored: [], missed: [], failed: [] };
+    const definitions = await jsonStorage.read(SCHEDULE_CONFIG.JOBS_FILE, []);
+    const now = new Date();
+    let expired = false;
+
+    for (const stored of definitions) {
+      try {
+        this._validateJobName(stored.name);
+
+        const definition = {
+          ...stored,
+          targets: this._normalizeAudience(stored.targets),
+          persist: true,
+        };
+
+        // 暂停的任务只恢复定义，不注册调度
+        if (definition.paused) {
+          this.definitions.set(definition.name, definition);
+          report.restored.push(definition.name);
+          continue;
+        }
+
+        // 停机期间到期的一次性任务不再调度，按策略立即补发或直接删除
+        if (definition.type === "once" && new Date(definition.rule.at) <= now) {
+          report.missed.push({
+            name: definition.name,
+            missedAt: definition.rule.at,
+            policy: definition.missedRunPolicy,
+          });
+
+          if (definition.missedRunPolicy === "catchup") {
+            this.definitions.set(definition.name, definition);
+            this._runJob(definition.name);
+          } else {
+            expired = true;
+          }
+          continue;
+        }
+
+        this._registerJob(definition);
+        report.restored.push(definition.name);
+
+        const missedAt = this._getMissedRun(definition, now);
+        if (missedAt) {
+          report.missed.push({
+            name: definition.name,
+            missedAt: missedAt.toISOString(),
+            policy: definition.missedRunPolicy,
+          });
+
+          if (definition.missedRunPolicy === "catchup") {
+            this._runJob(definition.name);
+          }
+        }
+      } catch (error) {
+        this._handleError(`Failed to restore job: ${stored.name}`, error);
+        report.failed.push(stored.name);
+      }
+    }
+
+    if (expired) {
+      this._persistJobs();
+    }
+
+    this._log("info", `Restored ${report.restored.length} scheduled jobs`);
+    report.missed.forEach(({ name, missedAt, policy }) => {
+      this._log(
+        "warn",
+        `Job '${name}' missed its run at ${missedAt} while the server was down (${
+          policy === "catchup" ? "catching up" : "skipped"
+        })`
+      );
+    });
+
+    return report;
+  }
+
+  /**
+   * 验证参数并创建每日任务定义，参数同 scheduleDaily
+   * @private
+   * @returns {Object} 任务定义
+   * @throws {Error} 验证失败时抛出错误
+   */
+  _buildDailyDefinition(
+    name,
+    hour,
+    minute,
+    audience,
+    title,
+    body,
+    data = {},
+    options = {}
+  ) {
+    this._validateJobName(name);
+    this.validateTime(hour, minute);
+    this._validateAudience(audience);
+    this._validateContent(body);
+    this._validateOptions(options);
+
+    if (options.localTime && options.missedRunPolicy === "catchup") {
+      throw new Error("Local time jobs do not support the catchup policy");
+    }
+
+    return this._createDefinition(
+      name,
+      "daily",
+      options.localTime ? { hour, minute, localTime: true } : { hour, minute },
+      this._normalizeAudience(audience),
+      { title, body, data },
+      {
+        ...options,
+        timezone: options.localTime
+          ? null
+          : options.timezone || SCHEDULE_CONFIG.DEFAULT_TIMEZONE,
+      }
+    );
+  }
+
+  /**
+   * 验证参数并创建自定义任务定义，参数同 scheduleCustom
+   * @private
+   * @returns {Object} 任务定义
+   * @throws {Error} 验证失败时抛出错误
+   */
+  _buildCustomDefinition(
+    name,
+    cronExpression,
+    audience,
+    title,
+    body,
+    data = {},
+    options = {}
+  ) {
+    this._validateJobName(name);
+    this._validateAudience(audience);
+    this.validateCronExpression(cronExpression);
+    this._validateContent(body);
+    this._validateOptions(options);
+
+    return this._createDefinition(
+      name,
+      "custom",
+      { cron: cronExpression },
+      this._normalizeAudience(audience),
+      { title, body, data },
+      options
+    );
+  }
+
+  /**
+   * 验证参数并创建一次性任务定义，参数同 scheduleOnce
+   * @private
+   * @returns {Object} 任务定义
+   * @throws {Error} 验证失败或执行时间已过时抛出错误
+   */
+  _buildOnceDefinition(
+    name,
+    at,
+    audience,
+    title,
+    body,
+    data = {},
+    options = {}
+  ) {
+    this._validateJobName(name);
+    this._validateAudience(audience);
+    this._validateContent(body);
+    this._validateOptions(options);
+
+    if (options.localTime) {
+      throw new Error("One-off jobs do not support localTime");
+    }
+
+    const timezone = options.timezone || SCHEDULE_CONFIG.DEFAULT_TIMEZONE;
+    return this._createDefinition(
+      name,
+      "once",
+      { at: this._resolveRunAt(at, timezone).toISOString() },
+      this._normalizeAudience(audience),
+      { title, body, data },
+      { ...options, timezone }
+    );
+  }
+
+  /**
+   * 解析一次性任务的执行时间
+   * @private
+   * @param {string} at - ISO 格式的时间，不带时区偏移时按 timezone 解析
+   * @param {string} timezone - 时区
+   * @returns {Date} 执行时间
+   * @throws {Error} 时间无效或已过时抛出错误
+   */
+  _resolveRunAt(at, timezone) {
+    if (!at || typeof at !== "string") {
+      throw new Error("Scheduled time (at) is required and must be a string");
+    }
+
+    if (!timeZone.isValidTimeZone(timezone)) {
+      throw new Error(`Invalid timezone: ${timezone}`);
+    }
+
+    const date = /(Z|[+-]\d{2}:?\d{2})$/i.test(at)
+      ? new Date(at)
+      : timeZone.parseLocalDateTime(at, timezone);
+    if (!date || Number.isNaN(date.getTime())) {
+      throw new Error(
+        `Invalid scheduled time: ${at}, expected an ISO datetime such as 2026-11-01T08:00`
+      );
+    }
+
+    if (date <= new Date()) {
+      throw new Error(`Scheduled time ${date.toISOString()} is in the past`);
+    }
+
+    return date;
+  }
+
+  /**
+   * 创建任务定义
+   * @private
+   * @param {string} name - 任务名称
+   * @param {string} type - 任务类型（daily、custom 或 once）
+   * @param {Object} rule - 调度规则
+   * @param {Object} targets - 受众描述对象
+   * @param {Object} payload - 消息内容 { title, body, data }
+   * @param {Object} options - 任务选项
+   * @returns {Object} 任务定义
+   */
+  _createDefinition(name, type, rule, targets, payload, options) {
+    // 函数形式的内容提供者无法序列化，这类任务只保存在内存中
+    const persist =
+      options.persist !== false && typeof payload.body !== "function";
+
+    return {
+      name,
+      type,
+      rule,
+      timezone: options.timezone || null,
+      targets,
+      payload,
+      missedRunPolicy:
+        options.missedRunPolicy || SCHEDULE_CONFIG.DEFAULT_MISSED_RUN_POLICY,
+      critical: Boolean(options.critical),
+      persist,
+      paused: false,
+      pausedAt: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+      lastRunAt: null,
+    };
+  }
+
+  /**
+   * 将修改应用到任务定义
+   * @private
+   * @param {Object} current - 当前任务定义
+   * @param {Object} changes - 要修改的字段，见 updateJob
+   * @returns {Object} 新的任务定义
+   * @throws {Error} 验证失败时抛出错误
+   */
+  _applyChanges(current, changes) {
+    const {
+      hour,
+      minute,
+      localTime,
+      cronExpression,
+      audience,
+      title,
+      body,
+      data,
+      timezone,
+      missedRunPolicy,
+      critical,
+      at,
+    } = changes;
+
+    if (Object.values(changes).every((value) => value === undefined)) {
+      throw new Error("No changes provided");
+    }
+
+    let rule;
+    if (current.type === "daily") {
+      if (cronExpression !== undefined || at !== undefined) {
+        throw new Error(
+          "Daily jobs are scheduled with hour and minute, not cronExpression or at"
+        );
+      }
+      rule = {
+        hour: hour !== undefined ? hour : current.rule.hour,
+        minute: minute !== undefined ? minute : current.rule.minute,
+      };
+      this.validateTime(rule.hour, rule.minute);
+      if (localTime !== undefined ? localTime : current.rule.localTime) {
+        rule.localTime = true;
+      }
+    } else if (current.type === "once") {
+      if (
+        hour !== undefined ||
+        minute !== undefined ||
+        localTime !== undefined ||
+        cronExpression !== undefined
+      ) {
+        throw new Error(
+          "One-off jobs are scheduled with at, not hour, minute or cronExpression"
+        );
+      }
+      rule =
+        at !== undefined
+          ? {
+              at: this._resolveRunAt(
+                at,
+                timezone || current.timezone || SCHEDULE_CONFIG.DEFAULT_TIMEZONE
+              ).toISOString(),
+            }
+          : current.rule;
+    } else {
+      if (
+        hour !== undefined ||
+        minute !== undefined ||
+        localTime !== undefined ||
+        at !== undefined
+      ) {
+        throw new Error(
+          "Custom jobs are scheduled with cronExpression, not hour, minute or at"
+        );
+      }
+      rule = { cron: cronExpression || current.rule.cron };
+      this.validateCronExpression(rule.cron);
+    }
+
+    if (audience !== undefined) {
+      this._validateAudience(audience);
+    }
+
+    if (title !== undefined && (!title || typeof title !== "string")) {
+      throw new Error("Message title must be a non-empty string");
+    }
+
+    if (body !== undefined) {
+      this._validateContent(body);
+    }
+
+    if (
+      data !== undefined &&
+      (!data || typeof data !== "object" || Array.isArray(data))
+    ) {
+      throw new Error("Message data must be an object");
+    }
+
+    const options = {
+      timezone: timezone !== undefined ? timezone : current.timezone,
+      missedRunPolicy: missedRunPolicy || current.missedRunPolicy,
+    };
+    this._validateOptions(options);
+
+    if (rule.localTime && options.missedRunPolicy === "catchup") {
+      throw new Error("Local time jobs do not support the catchup policy");
+    }
+
+    // 按设备时区推送的每日任务不使用任务时区
+    if (current.type === "daily") {
+      options.timezone = rule.localTime
+        ? null
+        : options.timezone || SCHEDULE_CONFIG.DEFAULT_TIMEZONE;
+    }
+
+    return {
+      ...current,
+      rule,
+      timezone: options.timezone || null,
+      targets:
+        audience !== undefined
+          ? this._normalizeAudience(audience)
+          : current.targets,
+      payload: {
+        title: title !== undefined ? title : current.payload.title,
+        body: body !== undefined ? body : current.payload.body,
+        data: data !== undefined ? data : current.payload.data,
+      },
+      missedRunPolicy: options.missedRunPolicy,
+      critical: critical !== undefined ? Boolean(critical) : current.critical,
+      updatedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * 用新的任务定义替换当前定义，并按是否暂停重新注册调度
+   * 新定义注册失败时恢复当前定义
+   * @private
+   * @param {Object} current - 当前任务定义
+   * @param {Object} definition - 新的任务定义
+   * @throws {Error} 注册调度失败时抛出错误
+   */
+  _replaceDefinition(current, definition) {
+    const { name } = definition;
+    const job = this.jobs.get(name);
+    if (job) {
+      job.cancel();
+      this.jobs.delete(name);
+    }
+
+    if (definition.paused) {
+      this.definitions.set(name, definition);
+      if (definition.persist) {
+        this._persistJobs();
+      }
+      return;
+    }
+
+    try {
+      this._registerJob(definition);
+    } catch (error) {
+      if (job) {
+        this._registerJob(current);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 生成对外展示的任务信息
+   * @private
+   * @param {Object} definition - 任务定义
+   * @returns {Object} 任务信息
+   */
+  _describeJob(definition) {
+    const { persist, ...info } = definition;
+    const job = this.jobs.get(definition.name);
+
+    return {
+      ...info,
+      payload: {
+        ...definition.payload,
+        // 函数形式的内容提供者无法展示
+        body:
+          typeof definition.payload.body === "function"
+            ? null
+            : definition.payload.body,
+      },
+      status: definition.paused ? "paused" : "active",
+      nextInvocation: job ? job.nextInvocation() : null,
+      ...jobRuns.getSummary(definition.name),
+    };
+  }
+
+  /**
+   * 向 node-schedule 注册任务
+   * @private
+   * @param {Object} definition - 任务定义
+   * @returns {Object} 任务对象
+   * @throws {Error} node-schedule 注册失败时抛出 code 为 SCHEDULE_FAILED 的错误
+   */
+  _registerJob(definition) {
+    const { name } = definition;
+    const spec = this._createScheduleSpec(definition);
+    const job = schedule.scheduleJob(name, spec, () => this._runJob(name));
+
+    // 参数已在构建任务定义时验证，注册失败属于内部错误，用 code 与验证错误区分
+    if (!job) {
+      const error = new Error(`Failed to schedule job: ${name}`);
+      error.code = "SCHEDULE_FAILED";
+      throw error;
+    }
+
+    // 新任务使用已执行完的一次性任务的名称时，不继承旧任务的执行记录
+    if (!this.definitions.has(name)) {
+      jobRuns.removeRetiredRuns(name);
+    }
+
+    this.jobs.set(name, job);
+    this.definitions.set(name, definition);
+    if (definition.persist) {
+      this._persistJobs();
+    }
+
+    return job;
+  }
+
+  /**
+   * 创建 node-schedule 调度规则
+   * @private
+   * @param {Object} definition - 任务定义
+   * @returns {Object|string} 调度规则
+   */
+  _createScheduleSpec(definition) {
+    const { type, rule, timezone } = definition;
+
+    if (type === "once") {
+      return new Date(rule.at);
+    }
+
+    // 按设备时区推送的任务定期触发，执行时再筛选本地时间到点的设备
+    if (type === "daily" && rule.localTime) {
+      const step = SCHEDULE_CONFIG.LOCAL_TIME_STEP;
+      return `0 ${rule.minute % step}-59/${step} * * * *`;
+    }
+
+    if (type === "daily") {
+      const recurrence = new schedule.RecurrenceRule();
+      recurrence.hour = rule.hour;
+      recurrence.minute = rule.minute;
+      recurrence.tz = timezone || SCHEDULE_CONFIG.DEFAULT_TIMEZONE;
+      return recurrence;
+    }
+
+    return timezone ? { rule: rule.cron, tz: timezone } : rule.cron;
+  }
+
+  /**
+   * 执行任务
+   * @private
+   * @param {string} name - 任务名称
+   */
+  async _runJob(name) {
+    const definition = this.definitions.get(name);
+    if (!definition) return;
+
+    const label = { daily: "Daily", custom: "Custom", once: "One-off" }[
+      definition.type
+    ];
+
+    try {
+      await this._executeJob(definition);
+      this._log("info", `${label} notification sent: ${name}`);
+    } catch (error) {
+      this._handleError(
+        `Failed to send ${label.toLowerCase()} notification: ${name}`,
+        error
+      );
+    }
+
+    // 一次性任务执行后删除，执行记录保留一段时间，失败时也不再重试
+    if (
+      definition.type === "once" &&
+      this.definitions.get(name) === definition
+    ) {
+      this._removeJob(name);
+      jobRuns.retireJob(name);
+      this._log("info", `One-off job completed and removed: ${name}`);
+    }
+  }
+
+  /**
+   * 删除任务的调度和定义
+   * @private
+   * @param {string} name - 任务名称
+   */
+  _removeJob(name) {
+    const definition = this.definitions.get(name);
+    const job = this.jobs.get(name);
+    if (job) {
+      job.cancel();
+      this.jobs.delete(name);
+    }
+    this.definitions.delete(name);
+    if (definition && definition.persist) {
+      this._persistJobs();
+    }
+  }
+
+  /**
+   * 生成任务的消息并加入发送队列，记录执行时间
+   * @private
+   * @param {Object} definition - 任务定义
+   * @param {Object} [options] - 执行选项
+   * @param {boolean} [options.manual] - 是否为手动执行
+   * @returns {Promise<number>} 加入队列的消息数量
+   */
+  async _executeJob(definition, { manual = false } = {}) {
+    const { name, rule, targets, payload } = definition;
+
+    // 定时触发时只发送给本地时间到点的设备，手动执行时发送给所有受众设备
+    const localCheck = rule.localTime && !manual;
+    const audience = localCheck
+      ? { ...targets, localTime: { hour: rule.hour, minute: rule.minute } }
+      : targets;
+    const run = jobRuns.startRun(name, manual ? "manual" : "schedule");
+
+    try {
+      const recipients = await this._sendContent(
+        audience,
+        payload.title,
+        payload.body,
+        payload.data,
+        { job: name, critical: Boolean(definition.critical), runId: run.id }
+      );
+
+      // 按设备时区推送的任务每15分钟检查一次，没有设备到点时不记录
+      if (localCheck && recipients === 0) {
+        jobRuns.discardRun(run.id);
+      } else {
+        jobRuns.finishRun(run.id, { recipients });
+      }
+      return recipients;
+    } catch (error) {
+      jobRuns.finishRun(run.id, { error });
+      throw error;
+    } finally {
+      definition.lastRunAt = new Date().toISOString();
+      if (definition.persist && this.definitions.get(name) === definition) {
+        this._persistJobs();
+      }
+    }
+  }
+
+  /**
+   * 生成任务预览：受众、渲染后的消息和之后几次执行时间
+   * @private
+   * @param {Object} definition - 任务定义
+   * @param {number} [invocations] - 预览的执行次数
+   * @returns {Promise<Object>} 预览结果
+   * @throws {Error} 执行次数无效或消息渲染失败时抛出错误
+   */
+  async _preview(
+    definition,
+    invocations = SCHEDULE_CONFIG.DEFAULT_PREVIEW_INVOCATIONS
+  ) {
+    if (
+      !Number.isInteger(invocations) ||
+      invocations < 1 ||
+      invocations > SCHEDULE_CONFIG.MAX_PREVIEW_INVOCATIONS
+    ) {
+      throw new Error(
+        `invocations must be an integer between 1 and ${SCHEDULE_CONFIG.MAX_PREVIEW_INVOCATIONS}`
+      );
+    }
+
+    const { name, type, rule, timezone, targets, payload } = definition;
+    const tokens = this._resolveAudience(targets);
+    const previewTokens = tokens.slice(0, SCHEDULE_CONFIG.MAX_PREVIEW_MESSAGES);
+
+    return {
+      dryRun: true,
+      name,
+      type,
+      rule,
+      timezone,
+      critical: Boolean(definition.critical),
+      audience: { targets, total: tokens.length, tokens: previewTokens },
+      messages: await this._renderMessages(
+        previewTokens,
+        payload.title,
+        payload.body,
+        payload.data
+      ),
+      truncated: tokens.length > previewTokens.length,
+      nextInvocations: definition.paused
+        ? []
+        : this._getNextInvocations(definition, tokens, invocations).map(
+            (date) => date.toISOString()
+          ),
+    };
+  }
+
+  /**
+   * 计算之后几次执行时间
+   * 按设备时区推送的任务，每个受众设备所在时区在本地时间 hour:minute 各执行一次
+   * @private
+   * @param {Object} definition - 任务定义
+   * @param {Array} tokens - 受众设备令牌
+   * @param {number} count - 执行次数
+   * @returns {Array} 执行时间列表
+   */
+  _getNextInvocations(definition, tokens, count) {
+    const { rule } = definition;
+
+    if (rule.localTime) {
+      const timezones = new Set(
+        tokens
+          .map((token) => deviceManager.getDevice(token))
+          .filter(Boolean)
+          .map((device) => deviceManager.getDeviceTimezone(device))
+      );
+
+      const times = new Set();
+      timezones.forEach((tz) => {
+        const interval = cronParser.parseExpression(
+          `${rule.minute} ${rule.hour} * * *`,
+          { tz }
+        );
+        for (let i = 0; i < count; i++) {
+          times.add(interval.next().toDate().getTime());
+        }
+      });
+
+      return Array.from(times)
+        .sort((a, b) => a - b)
+        .slice(0, count)
+        .map((time) => new Date(time));
+    }
+
+    const dates = [];
+    let date = new Date();
+    while (dates.length < count) {
+      date = this._getNextRunAfter(definition, date);
+      if (!date) break;
+      dates.push(date);
+    }
+    return dates;
+  }
+
+  /**
+   * 计算停机期间错过的执行时间
+   * @private
+   * @param {Object} definition - 任务定义
+   * @param {Date} now - 当前时间
+   * @returns {Date|null} 第一次错过的执行时间，没有错过时返回 null
+   */
+  _getMissedRun(definition, now) {
+    // 任务修改或恢复之前的执行时间不计入
+    const since = new Date(
+      Math.max(
+        ...[definition.lastRunAt, definition.updatedAt, definition.createdAt]
+          .filter(Boolean)
+          .map((time) => new Date(time).getTime())
+      )
+    );
+    if (isNaN(since.getTime())) return null;
+
+    const next = this._getNextRunAfter(definition, since);
+    return next && next < now ? next : null;
+  }
+
+  /**
+   * 计算指定时间之后的下一次执行时间
+   * @private
+   * @param {Object} definition - 任务定义
+   * @param {Date} date - 起始时间
+   * @returns {Date|null} 下一次执行时间
+   */
+  _getNextRunAfter(definition, date) {
+    const spec = this._createScheduleSpec(definition);
+
+    if (spec instanceof Date) {
+      return spec > date ? spec : null;
+    }
+
+    if (spec instanceof schedule.RecurrenceRule) {
+      return spec.nextInvocationDate(date);
+    }
+
+    const options = { currentDate: date };
+    if (definition.timezone) {
+      options.tz = definition.timezone;
+    }
+    return cronParser
+      .parseExpression(typeof spec === "string" ? spec : spec.rule, options)
+      .next()
+      .toDate();
+  }
+
+  /**
+   * 保存需要持久化的任务定义
+   * @private
+   */
+  _persistJobs() {
+    const definitions = Array.from(this.definitions.values())
+      .filter((definition) => definition.persist)
+      .map(({ persist, ...definition }) => definition);
+
+    jsonStorage
+      .write(SCHEDULE_CONFIG.JOBS_FILE, definitions)
+      .catch((error) => this._handleError("Failed to save jobs", error));
+  }
+
+  /**
+   * 生成消息内容并加入发送队列
+   * @private
+   * @param {Object} audience - 受众描述对象
+   * @param {string} title - 消息标题
+   * @param {string|Function|Object} body - 消息内容或内容提供者
+   * @param {Object} data - 附加数据
+   * @param {Object} [context] - 发送上下文
+   * @returns {Promise<number>} 加入队列的消息数量
+   */
+  async _sendContent(audience, title, body, data, context = {}) {
+    const tokens = this._resolveAudience(audience);
+    if (tokens.length === 0) {
+      this._log("debug", "No devices matched the audience", audience);
+      return 0;
+    }
+
+    const messages = await this._renderMessages(tokens, title, body, data);
+    return notificationQueue.enqueue(messages, context);
+  }
+
+  /**
+   * 为每个设备生成消息
+   * @private
+   * @param {Array} tokens - 令牌列表
+   * @param {string} title - 消息标题
+   * @param {string|Function|Object} body - 消息内容或内容提供者
+   * @param {Object} data - 附加数据
+   * @returns {Promise<Array>} 消息列表
+   */
+  async _renderMessages(tokens, title, body, data) {
+    const messages = [];
+    for (const group of this._groupRecipients(tokens, body)) {
+      const content = await this._renderContent(
+        title,
+        body,
+        data,
+        group.device
+      );
+      group.tokens.forEach((token) => {
+        messages.push(
+          expoPushNotifications.createMessage(
+            token,
+            content.title,
+            content.body,
+            content.data
+          )
+        );
+      });
+    }
+
+    return messages;
+  }
+
+  /**
+   * 按模板的分组函数对接收设备分组
+   * 模板没有分组函数时所有设备共用一次渲染结果
+   * @private
+   * @param {Array} tokens - 令牌列表
+   * @param {string|Function|Object} body - 消息内容或内容提供者
+   * @returns {Array} 分组列表 [{ device, tokens }]
+   */
+  _groupRecipients(tokens, body) {
+    const template =
+      body && typeof body === "object" && this.templates.get(body.template);
+    if (!template || !template.groupBy) {
+      return [{ device: null, tokens }];
+    }
+
+    const groups = new Map();
+    tokens.forEach((token) => {
+      const device = deviceManager.getDevice(token);
+      const key = device ? template.groupBy(device, body.params || {}) : null;
+      if (!groups.has(key)) {
+        groups.set(key, { device, tokens: [] });
+      }
+      groups.get(key).tokens.push(token);
+    });
+
+    return Array.from(groups.values());
+  }
+
+  /**
+   * 解析受众，获取当前匹配的推送令牌
+   * 每次任务触发时执行，保证新注册的设备能收到推送
+   * 受众带有 topic 时只保留订阅了该主题的设备，
+   * 带有 localTime 时只保留设备时区本地时间为 hour:minute 的设备
+   * @private
+   * @param {Object} audience - 受众描述对象
+   * @returns {Array} 令牌列表
+   */
+  _resolveAudience(audience) {
+    let tokens = this._matchAudience(audience);
+
+    if (audience.topic) {
+      tokens = tokens.filter((token) =>
+        deviceManager.isSubscribed(token, audience.topic)
+      );
+    }
+
+    if (audience.localTime) {
+      const now = new Date();
+      const { hour, minute } = audience.localTime;
+      tokens = tokens.filter((token) => {
+        const device = deviceManager.getDevice(token);
+        if (!device) return false;
+        const local = timeZone.getLocalTime(
+          now,
+          deviceManager.getDeviceTimezone(device)
+        );
+        return local.hour === hour && local.minute === minute;
+      });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * 按受众类型匹配推送令牌
+   * @private
+   * @param {Object} audience - 受众描述对象
+   * @returns {Array} 令牌列表
+   */
+  _matchAudience(audience) {
+    switch (audience.type) {
+      case "tokens":
+        return audience.tokens;
+      case "platform":
+        return deviceManager
+          .getActiveDevices()
+          .filter(
+            (device) =>
+              device.deviceInfo.platform.toLowerCase() ===
+              audience.platform.toLowerCase()
+          )
+          .map((device) => device.token);
+      case "tag":
+        return deviceManager
+          .getActiveDevices()
+          .filter(
+            (device) =>
+              Array.isArray(device.tags) && device.tags.includes(audience.tag)
+          )
+          .map((device) => device.token);
+      case "symbol":
+        return deviceManager
+          .getActiveDevices()
+          .filter((device) =>
+            deviceManager.getDeviceSymbols(device).includes(audience.symbol)
+          )
+          .map((device) => device.token);
+      case "user":
+        return deviceManager
+          .getActiveDevices()
+          .filter((device) => device.userId === audience.userId)
+          .map((device) => device.token);
+      // topic 受众先匹配所有活跃设备，再按主题过滤
+      default:
+        return deviceManager.getActiveTokens();
+    }
+  }
+
+  /**
+   * 规范化受众描述
+   * 令牌数组视为 { type: "tokens" } 受众
+   * @private
+   * @param {Object|Array} audience - 受众描述对象或推送令牌列表
+   * @returns {Object} 受众描述对象
+   */
+  _normalizeAudience(audience) {
+    if (Array.isArray(audience)) {
+      return { type: "tokens", tokens: audience };
+    }
+    return audience;
+  }
+
+  /**
+   * 渲染消息内容
+   * 内容提供者在每次调用时执行，保证推送携带最新数据
+   * @private
+   * @param {string} title - 默认消息标题
+   * @param {string|Function|Object} body - 消息内容或内容提供者
+   * @param {Object} data - 默认附加数据
+   * @param {Object|null} [device] - 接收设备，按设备生成内容的模板使用
+   * @returns {Promise<Object>} { title, body, data }
+   */
+  async _renderContent(title, body, data = {}, device = null) {
+    let content;
+
+    if (typeof body === "function") {
+      content = await body();
+    } else if (body && typeof body === "object") {
+      const template = this.templates.get(body.template);
+      if (!template) {
+        throw new Error(`Unknown template: ${body.template}`);
+      }
+      content = await template.provider(body.params || {}, device);
+    } else {
+      return { title, body, data };
+    }
+
+    if (typeof content === "string") {
+      return { title, body: content, data };
+    }
+
+    return {
+      title: content.title || title,
+      body: content.body,
+      data: { ...data, ...content.data },
+    };
+  }
+
   /**
    * 验证任务名称
    * @private
@@ -145,15 +1521,70 @@ class ScheduledNotifications {
       throw new Error("Job name is required and must be a string");
     }
 
-    if (this.jobs.has(name)) {
+    if (this.definitions.has(name)) {
       throw new Error(`Job with name '${name}' already exists`);
     }
 
-    if (this.jobs.size >= SCHEDULE_CONFIG.MAX_JOBS) {
+    if (this.definitions.size >= SCHEDULE_CONFIG.MAX_JOBS) {
       throw new Error("Maximum number of jobs reached");
     }
   }
 
+  /**
+   * 验证推送受众
+   * @private
+   * @param {Object|Array} audience - 受众描述对象或推送令牌列表
+   * @throws {Error} 验证失败时抛出错误
+   */
+  _validateAudience(audience) {
+    if (Array.isArray(audience)) {
+      this._validateTokens(audience);
+      return;
+    }
+
+    if (!audience || !SCHEDULE_CONFIG.AUDIENCE_TYPES.includes(audience.type)) {
+      throw new Error(`Invalid audience type: ${audience && audience.type}`);
+    }
+
+    switch (audience.type) {
+      case "tokens":
+        this._validateTokens(audience.tokens);
+        break;
+      case "platform":
+        if (!audience.platform || typeof audience.platform !== "string") {
+          throw new Error("Audience platform is required");
+        }
+        break;
+      case "tag":
+        if (!audience.tag || typeof audience.tag !== "string") {
+          throw new Error("Audience tag is required");
+        }
+        break;
+      case "symbol":
+        if (!audience.symbol || typeof audience.symbol !== "string") {
+          throw new Error("Audience symbol is required");
+        }
+        break;
+      case "topic":
+        if (!audience.topic) {
+          throw new Error("Audience topic is required");
+        }
+        break;
+      case "user":
+        if (!deviceManager.isValidUserId(audience.userId)) {
+          throw new Error(`Invalid audience user ID: ${audience.userId}`);
+        }
+        break;
+    }
+
+    if (
+      audience.topic !== undefined &&
+      !deviceManager.isValidTopic(audience.topic)
+    ) {
+      throw new Error(`Invalid audience topic: ${audience.topic}`);
+    }
+  }
+
   /**
    * 验证推送令牌
    * @private
@@ -173,16 +1604,46 @@ class ScheduledNotifications {
   }
 
   /**
-   * 验证Cron表达式
+   * 验证消息内容
    * @private
-   * @param {string} expression - Cron表达式
+   * @param {string|Function|Object} body - 消息内容或内容提供者
    * @throws {Error} 验证失败时抛出错误
    */
-  _validateCronExpression(expression) {
-    try {
-      new schedule.RecurrenceRule(expression);
-    } catch (error) {
-      throw new Error(`Invalid cron expression: ${expression}`);
+  _validateContent(body) {
+    if (typeof body === "function") {
+      return;
+    }
+
+    if (body && typeof body === "object") {
+      if (!this.templates.has(body.template)) {
+        throw new Error(`Unknown template: ${body.template}`);
+      }
+      return;
+    }
+
+    if (!body || typeof body !== "string") {
+      throw new Error("Message body is required");
+    }
+  }
+
+  /**
+   * 验证任务选项
+   * @private
+   * @param {Object} options - 任务选项
+   * @throws {Error} 验证失败时抛出错误
+   */
+  _validateOptions(options) {
+    const { timezone, missedRunPolicy } = options;
+
+    if (
+      missedRunPolicy &&
+      !SCHEDULE_CONFIG.MISSED_RUN_POLICIES.includes(missedRunPolicy)
+    ) {
+      throw new Error(`Invalid missed run policy: ${missedRunPolicy}`);
+    }
+
+    if (timezone && !timeZone.isValidTimeZone(timezone)) {
+      throw new Error(`Invalid timezone: ${timezone}`);
     }
   }
 
@@ -0,0 +1,50 @@
+const path = require("path");
+const SqliteDeviceStore = require("./sqliteDeviceStore");
+const JsonDeviceStore = require("./jsonDeviceStore");
+
+// 存储配置
+const STORAGE_CONFIG = {
+  // 设备存储类型：sqlite（默认）或 json
+  DEVICE_STORAGE: process.env.DEVICE_STORAGE || "sqlite",
+  DATA_DIR: path.join(process.cwd(), "data"),
+  DATABASE_FILE: "lydata.db",
+  DEVICES_FILE: "devices.json",
+  USERS_FILE: "users.json",
+};
+
+/**
+ * 创建设备存储
+ * 存储需要提供：
+ * - open(): 打开存储，返回从旧数据导入的数量或 null
+ * - loadDevices() / loadUsers(): 读取所有设备 / 用户
+ * - findTokens({ platform, userId, updatedAfter, updatedBefore }): 按条件查询设备令牌
+ * - commit({ devices, removedDevices, users }): 提交修改
+ * - replaceAll({ devices, users }): 用新数据替换所有设备和用户
+ * - close(): 关闭存储
+ * @param {string} [type] - 存储类型，默认使用 DEVICE_STORAGE 环境变量
+ * @returns {Object} 设备存储
+ * @throws {Error} 存储类型无效时抛出错误
+ */
+function createDeviceStore(type = STORAGE_CONFIG.DEVICE_STORAGE) {
+  switch (type) {
+    case "sqlite":
+      // 首次使用 SQLite 时导入原有的 JSON 文件
+      return new SqliteDeviceStore({
+        dir: STORAGE_CONFIG.DATA_DIR,
+        fileName: STORAGE_CONFIG.DATABASE_FILE,
+        legacyDevicesFile: STORAGE_CONFIG.DEVICES_FILE,
+        legacyUsersFile: STORAGE_CONFIG.USERS_FILE,
+      });
+    case "json":
+      return new JsonDeviceStore({
+        devicesFile: STORAGE_CONFIG.DEVICES_FILE,
+        usersFile: STORAGE_CONFIG.USERS_FILE,
+      });
+    default:
+      throw new Error(`Unsupported device storage: ${type}`);
+  }
+}
+
+module.exports = {
+  createDeviceStore,
+};
@@ -0,0 +1,149 @@
+const jsonStorage = require("../utils/jsonStorage");
+
+/**
+ * JSON 文件设备存储
+ * 设备和用户分别保存在一个 JSON 文件中，每次提交重写修改涉及的文件
+ * 不支持跨文件的事务，主要用于测试和开发
+ */
+class JsonDeviceStore {
+  /**
+   * @param {Object} options - 存储参数
+   * @param {string} options.devicesFile - 设备文件名
+   * @param {string} options.usersFile - 用户文件名
+   */
+  constructor(options) {
+    this.options = options;
+    this.devices = {};
+    this.users = {};
+    this.type = "json";
+  }
+
+  /**
+   * 读取数据文件
+   * @returns {Promise<null>} JSON 存储不需要迁移
+   */
+  async open() {
+    this.devices = await jsonStorage.read(this.options.devicesFile, {});
+    this.users = await jsonStorage.read(this.options.usersFile, {});
+    return null;
+  }
+
+  /**
+   * 关闭存储
+   */
+  close() {}
+
+  /**
+   * 读取所有设备
+   * @returns {Array} 设备列表
+   */
+  loadDevices() {
+    return Object.values(this.devices);
+  }
+
+  /**
+   * 读取所有用户
+   * @returns {Array} 用户列表
+   */
+  loadUsers() {
+    return Object.values(this.users);
+  }
+
+  /**
+   * 按条件查询设备令牌
+   * @param {Object} filters - 查询条件，同 SqliteDeviceStore.findTokens
+   * @returns {Array} 令牌列表
+   */
+  findTokens({ platform, userId, updatedAfter, updatedBefore }) {
+    return Object.values(this.devices)
+      .filter(
+        (device) =>
+          (platform === undefined ||
+            device.deviceInfo.platform.toLowerCase() === platform) &&
+          (userId === undefined || device.userId === userId) &&
+          (updatedAfter === undefined ||
+            new Date(device.lastUpdated) > new Date(updatedAfter)) &&
+          (updatedBefore === undefined ||
+            new Date(device.lastUpdated) <= new Date(updatedBefore))
+      )
+      .map((device) => device.token);
+  }
+
+  /**
+   * 提交修改
+   * @param {Object} changes - 修改内容，同 SqliteDeviceStore.commit
+   * @returns {Promise<void>}
+   */
+  async commit({ devices = [], removedDevices = [], users = [] }) {
+    // 记录修改前的数据，写入失败时恢复
+    const previousDevices = [
+      ...devices.map((device) => device.token),
+      ...removedDevices,
+    ].map((token) => [token, this.devices[token]]);
+    const previousUsers = users.map(({ userId }) => [
+      userId,
+      this.users[userId],
+    ]);
+    const writes = [];
+
+    if (devices.length > 0 || removedDevices.length > 0) {
+      devices.forEach((device) => {
+        this.devices[device.token] = device;
+      });
+      removedDevices.forEach((token) => {
+        delete this.devices[token];
+      });
+      writes.push(jsonStorage.write(this.options.devicesFile, this.devices));
+    }
+
+    if (users.length > 0) {
+      users.forEach((user) => {
+        this.users[user.userId] = user;
+      });
+      writes.push(jsonStorage.write(this.options.usersFile, this.users));
+    }
+
+    try {
+      await Promise.all(writes);
+    } catch (error) {
+      this._restore(this.devices, previousDevices);
+      this._restore(this.users, previousUsers);
+      throw error;
+    }
+  }
+
+  /**
+   * 恢复修改前的数据
+   * @private
+   * @param {Object} records - 设备或用户
+   * @param {Array} previous - 修改前的数据 [[key, record]]，record 为 undefined 表示原来不存在
+   */
+  _restore(records, previous) {
+    previous.forEach(([key, record]) => {
+      if (record === undefined) {
+        delete records[key];
+      } else {
+        records[key] = record;
+      }
+    });
+  }
+
+  /**
+   * 用新数据替换所有设备和用户
+   * @param {Object} data - 新数据 { devices, users }
+   * @returns {Promise<void>}
+   */
+  async replaceAll({ devices, users }) {
+    this.devices = Object.fromEntries(
+      devices.map((device) => [device.token, device])
+    );
+    this.users = Object.fromEntries(users.map((user) => [user.userId, user]));
+
+    await Promise.all([
+      jsonStorage.write(this.options.devicesFile, this.devices),
+      jsonStorage.write(this.options.usersFile, this.users),
+    ]);
+  }
+}
+
+module.exports = JsonDeviceStore;
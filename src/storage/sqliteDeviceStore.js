@@ -0,0 +1,239 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+// 数据库结构版本，结构变化时递增并在 _migrate 中添加对应的迁移
+const SCHEMA_VERSION = 1;
+
+/**
+ * SQLite 设备存储
+ * 设备和用户以 JSON 形式保存在 data 列中，常用查询字段单独建列并建立索引
+ * 每次提交在一个事务中执行，写入失败时整体回滚
+ */
+class SqliteDeviceStore {
+  /**
+   * @param {Object} options - 存储参数
+   * @param {string} options.dir - 数据目录
+   * @param {string} options.fileName - 数据库文件名
+   * @param {string} [options.legacyDevicesFile] - 需要导入的旧设备 JSON 文件名
+   * @param {string} [options.legacyUsersFile] - 需要导入的旧用户 JSON 文件名
+   */
+  constructor(options) {
+    this.options = options;
+    this.db = null;
+    this.type = "sqlite";
+  }
+
+  /**
+   * 打开数据库并执行迁移
+   * @returns {Promise<Object|null>} 从旧 JSON 文件导入的数量 { devices, users }，未导入时返回 null
+   */
+  async open() {
+    fs.mkdirSync(this.options.dir, { recursive: true });
+
+    this.db = new Database(path.join(this.options.dir, this.options.fileName));
+    this.db.pragma("journal_mode = WAL");
+    this.db.pragma("busy_timeout = 5000");
+
+    return this._migrate();
+  }
+
+  /**
+   * 关闭数据库
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * 读取所有设备
+   * @returns {Array} 设备列表
+   */
+  loadDevices() {
+    return this.db
+      .prepare("SELECT data FROM devices")
+      .all()
+      .map((row) => JSON.parse(row.data));
+  }
+
+  /**
+   * 读取所有用户
+   * @returns {Array} 用户列表
+   */
+  loadUsers() {
+    return this.db
+      .prepare("SELECT data FROM users")
+      .all()
+      .map((row) => JSON.parse(row.data));
+  }
+
+  /**
+   * 按条件查询设备令牌，使用 platform、user_id 和 last_updated 列的索引
+   * @param {Object} filters - 查询条件，多个条件同时满足
+   * @param {string} [filters.platform] - 平台类型（小写）
+   * @param {string} [filters.userId] - 所属用户
+   * @param {string} [filters.updatedAfter] - 最后更新时间晚于该时间（ISO 格式）
+   * @param {string} [filters.updatedBefore] - 最后更新时间不晚于该时间（ISO 格式）
+   * @returns {Array} 令牌列表
+   */
+  findTokens({ platform, userId, updatedAfter, updatedBefore }) {
+    const conditions = [];
+    if (platform !== undefined) conditions.push("platform = @platform");
+    if (userId !== undefined) conditions.push("user_id = @userId");
+    if (updatedAfter !== undefined) {
+      conditions.push("last_updated > @updatedAfter");
+    }
+    if (updatedBefore !== undefined) {
+      conditions.push("last_updated <= @updatedBefore");
+    }
+
+    const where =
+      conditions.length > 0 ? ` WHERE ${conditions.join(" AND ")}` : "";
+    return this.db
+      .prepare(`SELECT token FROM devices${where}`)
+      .all({ platform, userId, updatedAfter, updatedBefore })
+      .map((row) => row.token);
+  }
+
+  /**
+   * 在一个事务中提交修改
+   * @param {Object} changes - 修改内容
+   * @param {Array} [changes.devices] - 新增或更新的设备
+   * @param {Array} [changes.removedDevices] - 删除的设备令牌
+   * @param {Array} [changes.users] - 新增或更新的用户
+   * @returns {Promise<void>}
+   */
+  async commit({ devices = [], removedDevices = [], users = [] }) {
+    this.db.transaction(() => {
+      devices.forEach((device) => this._putDevice(device));
+      removedDevices.forEach((token) =>
+        this.db.prepare("DELETE FROM devices WHERE token = ?").run(token)
+      );
+      users.forEach((user) => this._putUser(user));
+    })();
+  }
+
+  /**
+   * 在一个事务中用新数据替换所有设备和用户
+   * @param {Object} data - 新数据 { devices, users }
+   * @returns {Promise<void>}
+   */
+  async replaceAll({ devices, users }) {
+    this.db.transaction(() => {
+      this.db.exec("DELETE FROM devices; DELETE FROM users;");
+      devices.forEach((device) => this._putDevice(device));
+      users.forEach((user) => this._putUser(user));
+    })();
+  }
+
+  /**
+   * 写入设备
+   * @private
+   * @param {Object} device - 设备信息
+   */
+  _putDevice(device) {
+    this.db
+      .prepare(
+        `INSERT INTO devices (token, platform, user_id, last_updated, data)
+         VALUES (@token, @platform, @userId, @lastUpdated, @data)
+         ON CONFLICT(token) DO UPDATE SET
+           platform = excluded.platform,
+           user_id = excluded.user_id,
+           last_updated = excluded.last_updated,
+           data = excluded.data`
+      )
+      .run({
+        token: device.token,
+        platform: device.deviceInfo.platform.toLowerCase(),
+        userId: device.userId || null,
+        lastUpdated: device.lastUpdated,
+        data: JSON.stringify(device),
+      });
+  }
+
+  /**
+   * 写入用户
+   * @private
+   * @param {Object} user - 用户信息
+   */
+  _putUser(user) {
+    this.db
+      .prepare(
+        `INSERT INTO users (user_id, data) VALUES (?, ?)
+         ON CONFLICT(user_id) DO UPDATE SET data = excluded.data`
+      )
+      .run(user.userId, JSON.stringify(user));
+  }
+
+  /**
+   * 升级数据库结构
+   * 新建数据库时导入旧的 JSON 文件，旧文件保留不删除
+   * @private
+   * @returns {Object|null} 导入的数量
+   */
+  _migrate() {
+    const version = this.db.pragma("user_version", { simple: true });
+    if (version >= SCHEMA_VERSION) {
+      return null;
+    }
+
+    let imported = null;
+    this.db.transaction(() => {
+      if (version < 1) {
+        this.db.exec(`
+          CREATE TABLE devices (
+            token TEXT PRIMARY KEY,
+            platform TEXT NOT NULL,
+            user_id TEXT,
+            last_updated TEXT NOT NULL,
+            data TEXT NOT NULL
+          );
+          CREATE INDEX idx_devices_platform ON devices (platform);
+          CREATE INDEX idx_devices_last_updated ON devices (last_updated);
+          CREATE INDEX idx_devices_user_id ON devices (user_id);
+          CREATE TABLE users (
+            user_id TEXT PRIMARY KEY,
+            data TEXT NOT NULL
+          );
+        `);
+        imported = this._importLegacyFiles();
+      }
+
+      this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    })();
+
+    return imported;
+  }
+
+  /**
+   * 导入旧的 JSON 文件
+   * @private
+   * @returns {Object} 导入的数量 { devices, users }
+   */
+  _importLegacyFiles() {
+    const readLegacy = (fileName) => {
+      if (!fileName) return {};
+      try {
+        return JSON.parse(
+          fs.readFileSync(path.join(this.options.dir, fileName), "utf8")
+        );
+      } catch (error) {
+        if (error.code === "ENOENT") return {};
+        throw new Error(`Failed to import ${fileName}: ${error.message}`);
+      }
+    };
+
+    const devices = Object.values(readLegacy(this.options.legacyDevicesFile));
+    const users = Object.values(readLegacy(this.options.legacyUsersFile));
+
+    devices.forEach((device) => this._putDevice(device));
+    users.forEach((user) => this._putUser(user));
+
+    return { devices: devices.length, users: users.length };
+  }
+}
+
+module.exports = SqliteDeviceStore;
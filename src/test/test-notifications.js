@@ -7,6 +7,7 @@ const TEST_CONFIG = {
   TIMEOUT: 30000, // 增加超时时间到30秒
   RETRY_COUNT: 3, // 重试次数
   RETRY_DELAY: 1000, // 重试延迟（毫秒）
+  API_KEY: process.env.ADMIN_API_KEY, // 创建定时任务需要 schedule 权限的密钥
 
   // 测试参数
   WAIT_TIME: 65000, // 等待时间（毫秒）
@@ -40,6 +41,9 @@ class NotificationTester {
       timeout: TEST_CONFIG.TIMEOUT,
       headers: {
         "Content-Type": "application/json",
+        ...(TEST_CONFIG.API_KEY && {
+          Authorization: `Bearer ${TEST_CONFIG.API_KEY}`,
+        }),
       },
       // 不要让axios自动将非2xx状态码视为错误
       validateStatus: function (status) {
@@ -1,3 +1,4 @@
+const EventEmitter = require("events");
 const { Expo } = require("expo-server-sdk");
 const deviceManager = require("../services/deviceManager");
 
@@ -22,13 +23,26 @@ const EXPO_CONFIG = {
 
 /**
  * Expo 推送通知服务类
+ * 每个消息块发送成功后触发 tickets 事件，参数为 [{ ticket, message }] 列表和发送上下文；
+ * 消息块发送失败时触发 failed 事件，参数为消息列表、错误对象和发送上下文
  */
-class ExpoPushNotification {
+class ExpoPushNotification extends EventEmitter {
   constructor() {
+    super();
     this.serviceAvailable = false;
+    this.sendFilters = [];
     this.initializeService();
   }
 
+  /**
+   * 添加发送过滤器
+   * 每次发送前按添加顺序执行，过滤器接收消息列表和发送上下文，返回实际要发送的消息列表
+   * @param {Function} filter - 过滤函数
+   */
+  addSendFilter(filter) {
+    this.sendFilters.push(filter);
+  }
+
   /**
    * 初始化推送服务
    * @private
@@ -195,12 +209,70 @@ class ExpoPushNotification {
     return this.sendNotifications(messages);
   }
 
+  /**
+   * 执行发送过滤器
+   * @param {Array} messages - 消息数组
+   * @param {Object} [context] - 发送上下文
+   * @returns {Array} 实际要发送的消息
+   */
+  applySendFilters(messages, context = {}) {
+    if (!messages?.length) return [];
+
+    return this.sendFilters.reduce(
+      (filtered, filter) => filter(filtered, context),
+      messages
+    );
+  }
+
+  /**
+   * 发送一个消息块
+   * 发送成功时触发 tickets 事件，失败时抛出错误，不触发 failed 事件
+   * 启动时连接测试失败的服务在发送成功后恢复为可用
+   * @param {Array} chunk - 消息块，不超过 Expo 单次请求的消息数量
+   * @param {Object} [context] - 发送上下文
+   * @returns {Promise<Array>} 发送凭证
+   * @throws {Error} 请求 Expo 失败时抛出错误
+   */
+  async sendChunk(chunk, context = {}) {
+    const ticketChunk = await this.expo.sendPushNotificationsAsync(chunk);
+    this._log("debug", "Chunk sent successfully:", ticketChunk);
+
+    if (!this.serviceAvailable) {
+      this.serviceAvailable = true;
+      this._log("info", "Push notification service is available again");
+    }
+
+    // 凭证与消息顺序一致，关联推送令牌供回执检查使用
+    this.emit(
+      "tickets",
+      ticketChunk.map((ticket, index) => ({
+        ticket,
+        message: chunk[index],
+      })),
+      context
+    );
+    return ticketChunk;
+  }
+
   /**
    * 发送推送通知
+   * 只尝试一次，失败的消息块不会重试；需要失败重试时使用 notificationQueue
    * @param {Array} messages - 消息数组
+   * @param {Object} [context] - 发送上下文
+   * @param {string} [context.job] - 触发发送的任务名称
+   * @param {boolean} [context.critical] - 是否为重要消息，重要消息不受免打扰时段限制
    * @returns {Promise<Array>} 发送结果
    */
-  async sendNotifications(messages) {
+  async sendNotifications(messages, context = {}) {
+    if (messages?.length && this.sendFilters.length > 0) {
+      messages = this.applySendFilters(messages, context);
+
+      if (messages.length === 0) {
+        this._log("debug", "All messages were held back by send filters");
+        return [];
+      }
+    }
+
     if (!this._validateNotifications(messages)) {
       return [];
     }
@@ -212,11 +284,10 @@ class ExpoPushNotification {
       const tickets = [];
       for (const chunk of chunks) {
         try {
-          const ticketChunk = await this.expo.sendPushNotificationsAsync(chunk);
-          this._log("debug", "Chunk sent successfully:", ticketChunk);
-          tickets.push(...ticketChunk);
+          tickets.push(...(await this.sendChunk(chunk, context)));
         } catch (error) {
           this._handleError("Failed to send notification chunk", error);
+          this.emit("failed", chunk, error, context);
         }
       }
 
@@ -0,0 +1,80 @@
+const axios = require("axios");
+
+// HTTP 请求配置
+const HTTP_CONFIG = {
+  TIMEOUT: 10000,
+  RETRY_COUNT: 3,
+  RETRY_DELAY: 1000,
+
+  // 调试选项
+  DEBUG: process.env.NODE_ENV === "development",
+};
+
+/**
+ * HTTP 请求工具类
+ * 为各数据源提供统一的带重试 GET 请求
+ */
+class HttpClient {
+  /**
+   * 带重试的 GET 请求
+   * @param {string} url - 请求地址
+   * @param {Object} [options] - 请求选项
+   * @param {Object} [options.params] - 查询参数
+   * @param {number} [options.timeout] - 超时时间（毫秒）
+   * @param {number} [options.retryCount] - 最多尝试次数
+   * @param {number} [options.retryDelay] - 重试间隔（毫秒）
+   * @returns {Promise<Object>} axios 响应
+   */
+  async getWithRetry(url, options = {}) {
+    const {
+      params,
+      timeout = HTTP_CONFIG.TIMEOUT,
+      retryCount = HTTP_CONFIG.RETRY_COUNT,
+      retryDelay = HTTP_CONFIG.RETRY_DELAY,
+    } = options;
+    let lastError;
+
+    for (let i = 0; i < retryCount; i++) {
+      try {
+        return await axios.get(url, { params, timeout });
+      } catch (error) {
+        lastError = error;
+        this._log("warn", `Fetch attempt ${i + 1} failed for ${url}`);
+        if (i < retryCount - 1) {
+          await new Promise((resolve) => setTimeout(resolve, retryDelay));
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * 日志输出
+   * @private
+   * @param {string} level - 日志级别
+   * @param {string} message - 日志消息
+   */
+  _log(level, message) {
+    if (!HTTP_CONFIG.DEBUG && level === "debug") {
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [Http] [${level.toUpperCase()}] ${message}`;
+
+    switch (level) {
+      case "error":
+        console.error(logMessage);
+        break;
+      case "warn":
+        console.warn(logMessage);
+        break;
+      default:
+        console.log(logMessage);
+    }
+  }
+}
+
+// 导出单例
+module.exports = new HttpClient();
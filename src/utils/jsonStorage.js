@@ -0,0 +1,248 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+// JSON 文件存储配置
+const STORAGE_CONFIG = {
+  // 文件存储目录
+  STORAGE_DIR: path.join(process.cwd(), "data"),
+
+  // 备份配置，每个文件保留最近几份带时间戳的备份
+  BACKUP_DIR: path.join(process.cwd(), "data", "backups"),
+  BACKUP_INTERVAL: 60 * 60 * 1000, // 同一文件每小时最多备份一次
+  MAX_BACKUPS: 5,
+
+  // 调试选项
+  DEBUG: process.env.NODE_ENV === "development",
+};
+
+/**
+ * JSON 文件存储工具类
+ * 数据文件统一存放在 data 目录下，同一文件的写入按顺序执行
+ *
+ * 写入时先写临时文件再重命名，避免进程崩溃时留下不完整的文件；
+ * 覆盖前定期备份原文件，读取时文件损坏则自动使用最近一份可用的备份
+ */
+class JsonStorage {
+  constructor() {
+    this.writeQueues = new Map();
+    this.lastBackupAt = new Map();
+  }
+
+  /**
+   * 获取数据文件路径
+   * @param {string} fileName - 文件名
+   * @returns {string} 文件完整路径
+   */
+  getFilePath(fileName) {
+    return path.join(STORAGE_CONFIG.STORAGE_DIR, fileName);
+  }
+
+  /**
+   * 读取 JSON 文件
+   * 文件内容无法解析时依次尝试最近的备份，恢复成功后写回原文件
+   * @param {string} fileName - 文件名
+   * @param {*} defaultValue - 文件不存在时返回的默认值
+   * @returns {Promise<*>} 解析后的数据
+   */
+  async read(fileName, defaultValue = null) {
+    let content;
+    try {
+      content = await fs.readFile(this.getFilePath(fileName), "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        this._log("debug", `No existing file found: ${fileName}`);
+        return defaultValue;
+      }
+      throw new Error(`Failed to read ${fileName}: ${error.message}`);
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      this._log("error", `Corrupted file ${fileName}: ${error.message}`);
+      return this._recover(fileName, error);
+    }
+  }
+
+  /**
+   * 写入 JSON 文件
+   * 对同一文件的并发写入会排队执行，保证最后一次写入生效
+   * @param {string} fileName - 文件名
+   * @param {*} data - 要写入的数据
+   * @returns {Promise<void>}
+   */
+  write(fileName, data) {
+    const content = JSON.stringify(data, null, 2);
+    const previous = this.writeQueues.get(fileName) || Promise.resolve();
+
+    const current = previous
+      .catch(() => {})
+      .then(async () => {
+        await this._ensureStorageDirectory();
+        await this._backup(fileName);
+        await this._writeAtomic(this.getFilePath(fileName), content);
+        this._log("debug", `Saved ${fileName}`);
+      })
+      .catch((error) => {
+        throw new Error(`Failed to save ${fileName}: ${error.message}`);
+      });
+
+    this.writeQueues.set(fileName, current);
+    return current;
+  }
+
+  /**
+   * 获取文件的备份列表，最新的在前
+   * @param {string} fileName - 文件名
+   * @returns {Promise<Array>} 备份文件路径列表
+   */
+  async listBackups(fileName) {
+    try {
+      const entries = await fs.readdir(STORAGE_CONFIG.BACKUP_DIR);
+      return entries
+        .filter((entry) => entry.startsWith(`${fileName}.`))
+        .sort()
+        .reverse()
+        .map((entry) => path.join(STORAGE_CONFIG.BACKUP_DIR, entry));
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+  }
+
+  /**
+   * 先写入临时文件，刷新到磁盘后再重命名为目标文件
+   * @private
+   * @param {string} filePath - 目标文件路径
+   * @param {string} content - 文件内容
+   */
+  async _writeAtomic(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const handle = await fs.open(tempPath, "w");
+    try {
+      await handle.writeFile(content, "utf8");
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * 覆盖文件前备份原文件，并删除超出数量的旧备份
+   * @private
+   * @param {string} fileName - 文件名
+   */
+  async _backup(fileName) {
+    const now = Date.now();
+    if (
+      now - (this.lastBackupAt.get(fileName) || 0) <
+      STORAGE_CONFIG.BACKUP_INTERVAL
+    ) {
+      return;
+    }
+
+    try {
+      await fs.mkdir(STORAGE_CONFIG.BACKUP_DIR, { recursive: true });
+      const stamp = new Date(now).toISOString().replace(/[:.]/g, "-");
+      await fs.copyFile(
+        this.getFilePath(fileName),
+        path.join(STORAGE_CONFIG.BACKUP_DIR, `${fileName}.${stamp}`)
+      );
+      this.lastBackupAt.set(fileName, now);
+
+      const backups = await this.listBackups(fileName);
+      await Promise.all(
+        backups
+          .slice(STORAGE_CONFIG.MAX_BACKUPS)
+          .map((backupPath) => fs.unlink(backupPath))
+      );
+    } catch (error) {
+      // 第一次写入时原文件不存在，不需要备份
+      if (error.code !== "ENOENT") {
+        this._log("warn", `Failed to back up ${fileName}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * 从最近一份可用的备份恢复损坏的文件
+   * 损坏的文件重命名保留，便于排查
+   * @private
+   * @param {string} fileName - 文件名
+   * @param {Error} parseError - 解析错误
+   * @returns {Promise<*>} 备份中的数据
+   * @throws {Error} 没有可用的备份时抛出错误
+   */
+  async _recover(fileName, parseError) {
+    for (const backupPath of await this.listBackups(fileName)) {
+      let data;
+      try {
+        data = JSON.parse(await fs.readFile(backupPath, "utf8"));
+      } catch (error) {
+        this._log("warn", `Skipping unreadable backup ${backupPath}`);
+        continue;
+      }
+
+      const filePath = this.getFilePath(fileName);
+      const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+      await fs.rename(filePath, `${filePath}.corrupt-${stamp}`);
+      await this._writeAtomic(filePath, JSON.stringify(data, null, 2));
+
+      this._log(
+        "warn",
+        `Recovered ${fileName} from backup ${path.basename(backupPath)}`
+      );
+      return data;
+    }
+
+    throw new Error(
+      `Failed to read ${fileName}: ${parseError.message}, and no usable backup was found`
+    );
+  }
+
+  /**
+   * 确保存储目录存在
+   * @private
+   */
+  async _ensureStorageDirectory() {
+    try {
+      await fs.access(STORAGE_CONFIG.STORAGE_DIR);
+    } catch {
+      await fs.mkdir(STORAGE_CONFIG.STORAGE_DIR, { recursive: true });
+      this._log(
+        "info",
+        `Created storage directory: ${STORAGE_CONFIG.STORAGE_DIR}`
+      );
+    }
+  }
+
+  /**
+   * 日志输出
+   * @private
+   * @param {string} level - 日志级别
+   * @param {string} message - 日志消息
+   */
+  _log(level, message) {
+    if (!STORAGE_CONFIG.DEBUG && level === "debug") {
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [Storage] [${level.toUpperCase()}] ${message}`;
+
+    switch (level) {
+      case "error":
+        console.error(logMessage);
+        break;
+      case "warn":
+        console.warn(logMessage);
+        break;
+      default:
+        console.log(logMessage);
+    }
+  }
+}
+
+// 导出单例
+module.exports = new JsonStorage();
@@ -0,0 +1,192 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+// 时间序列存储配置
+const TIME_SERIES_CONFIG = {
+  // 文件存储目录，每个序列一个子目录，每天一个文件
+  STORAGE_DIR: path.join(process.cwd(), "data", "history"),
+
+  // 调试选项
+  DEBUG: process.env.NODE_ENV === "development",
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 时间序列存储工具类
+ * 数据按序列和日期（UTC）追加写入 JSON Lines 文件，如 data/history/rates/2024-01-01.jsonl
+ * 每条记录必须包含 time 字段（毫秒时间戳）
+ */
+class TimeSeriesStore {
+  constructor() {
+    this.writeQueues = new Map();
+  }
+
+  /**
+   * 追加记录
+   * 对同一文件的追加按顺序执行
+   * @param {string} series - 序列名称
+   * @param {Object} record - 记录，time 为毫秒时间戳
+   * @returns {Promise<void>}
+   */
+  append(series, record) {
+    const filePath = this._getFilePath(series, record.time);
+    const line = `${JSON.stringify(record)}\n`;
+    const previous = this.writeQueues.get(filePath) || Promise.resolve();
+
+    const current = previous
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.appendFile(filePath, line, "utf8");
+      })
+      .catch((error) => {
+        throw new Error(`Failed to append to ${series}: ${error.message}`);
+      })
+      .finally(() => {
+        if (this.writeQueues.get(filePath) === current) {
+          this.writeQueues.delete(filePath);
+        }
+      });
+
+    this.writeQueues.set(filePath, current);
+    return current;
+  }
+
+  /**
+   * 查询时间范围内的记录
+   * @param {string} series - 序列名称
+   * @param {number} from - 起始时间（毫秒时间戳，包含）
+   * @param {number} to - 结束时间（毫秒时间戳，包含）
+   * @returns {Promise<Array>} 按时间排序的记录
+   */
+  async query(series, from, to) {
+    const records = [];
+
+    for (
+      let day = Math.floor(from / DAY_MS) * DAY_MS;
+      day <= to;
+      day += DAY_MS
+    ) {
+      const content = await this._readFile(this._getFilePath(series, day));
+      content.split("\n").forEach((line) => {
+        if (!line) return;
+        try {
+          const record = JSON.parse(line);
+          if (record.time >= from && record.time <= to) {
+            records.push(record);
+          }
+        } catch {
+          // 写入中断时可能留下不完整的行，直接跳过
+          this._log("warn", `Skipping malformed record in ${series}`);
+        }
+      });
+    }
+
+    return records.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * 删除过期的数据文件
+   * @param {number} retentionDays - 保留天数
+   * @returns {Promise<number>} 删除的文件数量
+   */
+  async cleanup(retentionDays) {
+    const cutoff = this._formatDate(Date.now() - retentionDays * DAY_MS);
+    let removed = 0;
+
+    let seriesList;
+    try {
+      seriesList = await fs.readdir(TIME_SERIES_CONFIG.STORAGE_DIR);
+    } catch (error) {
+      if (error.code === "ENOENT") return 0;
+      throw error;
+    }
+
+    for (const series of seriesList) {
+      const seriesDir = path.join(TIME_SERIES_CONFIG.STORAGE_DIR, series);
+      const files = await fs.readdir(seriesDir);
+
+      for (const file of files) {
+        if (file.endsWith(".jsonl") && file.slice(0, -6) < cutoff) {
+          await fs.unlink(path.join(seriesDir, file));
+          removed++;
+        }
+      }
+    }
+
+    if (removed > 0) {
+      this._log("info", `Removed ${removed} expired history files`);
+    }
+    return removed;
+  }
+
+  /**
+   * 获取记录所在的文件路径
+   * @private
+   * @param {string} series - 序列名称
+   * @param {number} time - 毫秒时间戳
+   * @returns {string} 文件路径
+   */
+  _getFilePath(series, time) {
+    return path.join(
+      TIME_SERIES_CONFIG.STORAGE_DIR,
+      series,
+      `${this._formatDate(time)}.jsonl`
+    );
+  }
+
+  /**
+   * 格式化日期（UTC）
+   * @private
+   * @param {number} time - 毫秒时间戳
+   * @returns {string} 日期，如 2024-01-01
+   */
+  _formatDate(time) {
+    return new Date(time).toISOString().slice(0, 10);
+  }
+
+  /**
+   * 读取数据文件，文件不存在时返回空字符串
+   * @private
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<string>} 文件内容
+   */
+  async _readFile(filePath) {
+    try {
+      return await fs.readFile(filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return "";
+      throw new Error(`Failed to read ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * 日志输出
+   * @private
+   * @param {string} level - 日志级别
+   * @param {string} message - 日志消息
+   */
+  _log(level, message) {
+    if (!TIME_SERIES_CONFIG.DEBUG && level === "debug") {
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [TimeSeries] [${level.toUpperCase()}] ${message}`;
+
+    switch (level) {
+      case "error":
+        console.error(logMessage);
+        break;
+      case "warn":
+        console.warn(logMessage);
+        break;
+      default:
+        console.log(logMessage);
+    }
+  }
+}
+
+// 导出单例
+module.exports = new TimeSeriesStore();
@@ -0,0 +1,161 @@
+/**
+ * 时区工具类
+ * 基于 Intl.DateTimeFormat 计算 IANA 时区的本地时间
+ */
+class TimeZoneHelper {
+  constructor() {
+    this.formatters = new Map();
+    this.dateTimeFormatters = new Map();
+  }
+
+  /**
+   * 是否为有效的 IANA 时区
+   * @param {string} timeZone - 时区，如 Asia/Tokyo
+   * @returns {boolean} 是否有效
+   */
+  isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== "string") {
+      return false;
+    }
+
+    try {
+      this._getFormatter(timeZone);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * 获取时区的本地时间
+   * @param {Date} date - 时间
+   * @param {string} timeZone - 时区
+   * @returns {Object} { hour, minute }
+   */
+  getLocalTime(date, timeZone) {
+    const parts = this._getFormatter(timeZone).formatToParts(date);
+    const value = (type) =>
+      parseInt(parts.find((part) => part.type === type).value, 10);
+
+    return { hour: value("hour") % 24, minute: value("minute") };
+  }
+
+  /**
+   * 获取时区本地时间在一天中的分钟数
+   * @param {Date} date - 时间
+   * @param {string} timeZone - 时区
+   * @returns {number} 0-1439
+   */
+  getLocalMinutes(date, timeZone) {
+    const { hour, minute } = this.getLocalTime(date, timeZone);
+    return hour * 60 + minute;
+  }
+
+  /**
+   * 将时区的本地日期时间转换为 Date
+   * 夏令时切换时不存在的本地时间按切换后的偏移计算
+   * @param {string} value - 不带时区偏移的日期时间，如 2026-11-01T08:00 或 2026-11-01T08:00:00
+   * @param {string} timeZone - 时区
+   * @returns {Date|null} 对应的时间，格式无效时返回 null
+   */
+  parseLocalDateTime(value, timeZone) {
+    const match =
+      /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/.exec(
+        value
+      );
+    if (!match) return null;
+
+    const [year, month, day, hour, minute, second = 0] = match
+      .slice(1, 7)
+      .map((part) => (part === undefined ? undefined : Number(part)));
+    const millisecond = match[7] ? Number(match[7].padEnd(3, "0")) : 0;
+
+    const asUtc = Date.UTC(
+      year,
+      month - 1,
+      day,
+      hour,
+      minute,
+      second,
+      millisecond
+    );
+    const date = new Date(asUtc);
+    if (
+      date.getUTCFullYear() !== year ||
+      date.getUTCMonth() !== month - 1 ||
+      date.getUTCDate() !== day ||
+      hour > 23 ||
+      minute > 59 ||
+      second > 59
+    ) {
+      return null;
+    }
+
+    // 先按该时刻的偏移估算，偏移在估算结果处不同时（夏令时切换附近）再修正一次
+    const estimate = asUtc - this._getOffset(date, timeZone);
+    return new Date(asUtc - this._getOffset(new Date(estimate), timeZone));
+  }
+
+  /**
+   * 获取时区在指定时间相对 UTC 的偏移
+   * @private
+   * @param {Date} date - 时间
+   * @param {string} timeZone - 时区
+   * @returns {number} 偏移毫秒数，东时区为正
+   */
+  _getOffset(date, timeZone) {
+    if (!this.dateTimeFormatters.has(timeZone)) {
+      this.dateTimeFormatters.set(
+        timeZone,
+        new Intl.DateTimeFormat("en-US", {
+          timeZone,
+          year: "numeric",
+          month: "2-digit",
+          day: "2-digit",
+          hour: "2-digit",
+          minute: "2-digit",
+          second: "2-digit",
+          hourCycle: "h23",
+        })
+      );
+    }
+
+    const parts = this.dateTimeFormatters.get(timeZone).formatToParts(date);
+    const value = (type) =>
+      parseInt(parts.find((part) => part.type === type).value, 10);
+    const local = Date.UTC(
+      value("year"),
+      value("month") - 1,
+      value("day"),
+      value("hour") % 24,
+      value("minute"),
+      value("second")
+    );
+
+    return local - Math.floor(date.getTime() / 1000) * 1000;
+  }
+
+  /**
+   * 获取时区的格式化器，按时区缓存
+   * @private
+   * @param {string} timeZone - 时区
+   * @returns {Intl.DateTimeFormat} 格式化器
+   */
+  _getFormatter(timeZone) {
+    if (!this.formatters.has(timeZone)) {
+      this.formatters.set(
+        timeZone,
+        new Intl.DateTimeFormat("en-US", {
+          timeZone,
+          hour: "2-digit",
+          minute: "2-digit",
+          hourCycle: "h23",
+        })
+      );
+    }
+    return this.formatters.get(timeZone);
+  }
+}
+
+// 导出单例
+module.exports = new TimeZoneHelper();